@@ -63,6 +63,8 @@ class OpenDialogCommand implements CommandInterface {
    * @param array $dialog_options
    *   (optional) Options to be passed to the dialog implementation. Any
    *   jQuery UI option can be used. See http://api.jqueryui.com/dialog.
+   *   Additionally, the 'offCanvas' option set to 'left' or 'right' displays
+   *   the dialog as a tray along that edge of the viewport, beside the page.
    * @param array|null $settings
    *   (optional) Custom settings that will be passed to the Drupal behaviors
    *   on the content of the dialog. If left empty, the settings will be
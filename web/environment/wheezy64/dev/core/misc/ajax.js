@@ -33,6 +33,12 @@ Drupal.behaviors.AJAX = {
       });
     }
 
+    // Send the requests that were stored while the browser was offline on an
+    // earlier visit of this page.
+    if (context === document && window.navigator.onLine) {
+      Drupal.ajax.replayRequests();
+    }
+
     // Load all Ajax behaviors specified in the settings.
     for (var base in settings.ajax) {
       if (settings.ajax.hasOwnProperty(base)) {
@@ -123,6 +129,26 @@ Drupal.AjaxError = function(xmlhttp, uri) {
 Drupal.AjaxError.prototype = new Error();
 Drupal.AjaxError.prototype.constructor = Drupal.AjaxError;
 
+/**
+ * Error thrown in debug mode after commands of a response could not be run.
+ *
+ * @param list
+ *   An array of objects with the keys 'command' (the command name) and
+ *   'message' (what went wrong).
+ */
+Drupal.AjaxCommandError = function (list) {
+  var messageList = [];
+  for (var i = 0, il = list.length; i < il; i++) {
+    messageList.push(list[i].command + ': ' + list[i].message);
+  }
+  this.list = list;
+  this.message = messageList.join(' ; ');
+  this.name = 'AjaxCommandError';
+};
+
+Drupal.AjaxCommandError.prototype = new Error();
+Drupal.AjaxCommandError.prototype.constructor = Drupal.AjaxCommandError;
+
 /**
  * Ajax object.
  *
@@ -159,7 +185,12 @@ Drupal.ajax = function (base, element, element_settings) {
     },
     submit: {
       'js': true
-    }
+    },
+    concurrency: 'drop',
+    concurrencyScope: 'element',
+    retry: 0,
+    retryDelay: 1000,
+    replay: false
   };
 
   $.extend(this, defaults, element_settings);
@@ -178,8 +209,9 @@ Drupal.ajax = function (base, element, element_settings) {
   this.element_settings = element_settings;
 
   // If there isn't a form, jQuery.ajax() will be used instead, allowing us to
-  // bind Ajax to links as well.
-  if (this.element.form) {
+  // bind Ajax to links as well. There is no element at all for requests made
+  // through Drupal.ajax.execute().
+  if (this.element && this.element.form) {
     this.form = $(this.element.form);
   }
 
@@ -188,7 +220,7 @@ Drupal.ajax = function (base, element, element_settings) {
     if ($(element).is('a')) {
       this.url = $(element).attr('href');
     }
-    else if (element.form) {
+    else if (this.form) {
       this.url = this.form.attr('action');
 
       // @todo If there's a file input on this form, then jQuery will submit the
@@ -230,6 +262,12 @@ Drupal.ajax = function (base, element, element_settings) {
     },
     beforeSend: function (xmlhttprequest, options) {
       ajax.ajaxing = true;
+      // Keep track of the request, so that it can be aborted.
+      ajax.xhr = xmlhttprequest;
+      ajax.getChannel().active = ajax;
+      // Keep the serialized request, so that it can be replayed. Submissions
+      // through an IFRAME (for file uploads) cannot be replayed.
+      ajax.request = typeof options.data === 'string' ? { url: options.url, data: options.data, accepts: options.accepts.json } : null;
       return ajax.beforeSend(xmlhttprequest, options);
     },
     success: function (response, status) {
@@ -238,12 +276,43 @@ Drupal.ajax = function (base, element, element_settings) {
       if (typeof response === 'string') {
         response = $.parseJSON(response);
       }
-      return ajax.success(response, status);
+      // Keep track of asynchronous commands that are still running, so that
+      // the next request waits for them.
+      ajax.processing = ajax.success(response, status);
+      return ajax.processing;
     },
     complete: function (response, status) {
       ajax.ajaxing = false;
-      if (status === 'error' || status === 'parsererror') {
-        return ajax.error(response, ajax.url);
+      ajax.xhr = null;
+      // The server could not be reached. The channel stays busy while another
+      // attempt is pending.
+      var handled = false;
+      if (status === 'timeout' || (status === 'error' && !response.status)) {
+        handled = ajax.networkError(response, ajax.url);
+        if (ajax.retryTimer) {
+          return;
+        }
+      }
+      else {
+        ajax.attempts = 0;
+      }
+      try {
+        // jQuery reports aborted requests as 'abort', while the IFRAME
+        // transport of the jQuery Form plugin reports them as 'aborted'.
+        if (status === 'abort' || status === 'aborted') {
+          return ajax.aborted(response, ajax.url);
+        }
+        if (!handled && (status === 'error' || status === 'parsererror' || status === 'timeout')) {
+          return ajax.error(response, ajax.url);
+        }
+      }
+      finally {
+        // Let the next queued request proceed once all commands ran, even if
+        // the error handler threw.
+        $.when(ajax.processing).always(function () {
+          ajax.processing = null;
+          ajax.releaseChannel();
+        });
       }
     },
     dataType: 'json',
@@ -253,6 +322,10 @@ Drupal.ajax = function (base, element, element_settings) {
     type: 'POST'
   };
 
+  if (ajax.timeout) {
+    ajax.options.timeout = ajax.timeout;
+  }
+
   if (element_settings.dialog) {
     ajax.options.data.dialogOptions = element_settings.dialog;
   }
@@ -279,6 +352,112 @@ Drupal.ajax = function (base, element, element_settings) {
   }
 };
 
+/**
+ * Perform an Ajax request that is not triggered by an element event.
+ *
+ * This allows scripts to talk to the server without binding Drupal.ajax to a
+ * (temporary) element and triggering a custom event on it. All commands in
+ * the response are processed as usual, and requests can be chained:
+ * @code
+ *   Drupal.ajax.execute(Drupal.url('task/1/done'), { 'done': 1 })
+ *     .then(function (ajax, response) {
+ *       return Drupal.ajax.execute(Drupal.url('task/2/done'), { 'done': 1 });
+ *     })
+ *     .fail(function (error) {
+ *       window.console.log(error.message);
+ *     });
+ * @endcode
+ *
+ * @param url
+ *   The URL to send the request to.
+ * @param data
+ *   (optional) An object of additional values to POST along with the request.
+ * @param options
+ *   (optional) An object of Drupal.ajax settings for the request, for example
+ *   'accepts', 'dialog', 'wrapper' or 'progress'. Additionally:
+ *   - element: A DOM element the request is made for. Progress indicators are
+ *     inserted after it, and if it is a form element, the form is submitted.
+ *     Defaults to none, in which case no progress indicator is shown.
+ *   - commands: An object of Ajax commands that are only available to this
+ *     request, keyed by command name.
+ *   - reportErrors: Whether to show a message when the request fails.
+ *     Defaults to true. Set this to false when the caller reports errors
+ *     itself.
+ *
+ * @return
+ *   A promise that is resolved once all commands in the response have been
+ *   processed, and which receives the Drupal.ajax object and the response. It
+ *   is rejected with a Drupal.AjaxError if the request fails or is aborted,
+ *   or with the error thrown by a command. It is rejected with an Error right
+ *   away if the request cannot be sent, because no URL was given for an
+ *   element in a form with file inputs. If the request is stored to be
+ *   replayed once the browser is back online, the promise is rejected with a
+ *   Drupal.AjaxError whose 'replay' property is true.
+ */
+Drupal.ajax.execute = function (url, data, options) {
+  var deferred = $.Deferred();
+  var element_settings = $.extend({ progress: { type: 'none' } }, options, {
+    url: url,
+    submit: $.extend({ 'js': true }, data)
+  });
+  var element = element_settings.element || null;
+  delete element_settings.element;
+
+  var ajax = new Drupal.ajax(false, element, element_settings);
+  // Drupal.ajax does not submit forms with file inputs to their own action.
+  if (!ajax.options) {
+    deferred.reject(new Error(Drupal.t('The request cannot be sent, because the form of the element has file inputs.')));
+    return deferred.promise();
+  }
+  $.extend(ajax.commands, element_settings.commands);
+
+  ajax.success = function (response, status) {
+    try {
+      return Drupal.ajax.prototype.success.call(this, response, status)
+        .done(function () {
+          deferred.resolveWith(ajax, [ajax, response]);
+        })
+        .fail(function (e) {
+          deferred.rejectWith(ajax, [e]);
+        });
+    }
+    catch (e) {
+      deferred.rejectWith(this, [e]);
+    }
+  };
+  ajax.error = function (xmlhttprequest, uri) {
+    if (element_settings.reportErrors === false) {
+      this.cleanUp();
+      $(this.wrapper).show();
+      deferred.rejectWith(this, [new Drupal.AjaxError(xmlhttprequest, uri)]);
+      return;
+    }
+    try {
+      Drupal.ajax.prototype.error.call(this, xmlhttprequest, uri);
+    }
+    catch (e) {
+      deferred.rejectWith(this, [e]);
+    }
+  };
+  ajax.networkError = function (xmlhttprequest, uri) {
+    var handled = Drupal.ajax.prototype.networkError.call(this, xmlhttprequest, uri);
+    // The request was stored to be replayed, and will not be answered here.
+    if (handled && !this.retryTimer) {
+      var error = new Drupal.AjaxError(xmlhttprequest, uri);
+      error.replay = true;
+      deferred.rejectWith(this, [error]);
+    }
+    return handled;
+  };
+  ajax.aborted = function (xmlhttprequest, uri) {
+    Drupal.ajax.prototype.aborted.call(this, xmlhttprequest, uri);
+    deferred.rejectWith(this, [new Drupal.AjaxError(xmlhttprequest, uri)]);
+  };
+
+  ajax.sendRequest(element);
+  return deferred.promise();
+};
+
 /**
  * Handle a key press.
  *
@@ -313,6 +492,14 @@ Drupal.ajax.prototype.keypressResponse = function (element, event) {
  * perform the actual Ajax call. It is bound to the event using
  * bind() in the constructor, and it uses the options specified on the
  * ajax object.
+ *
+ * If a request is already in progress on the channel of this Ajax object (see
+ * Drupal.ajax.prototype.getChannel()), the 'concurrency' setting decides what
+ * happens to the new request:
+ * - drop: (default) The new request is ignored.
+ * - queue: The new request is sent once the requests before it completed.
+ * - replace: The request in progress is aborted, queued requests are
+ *   discarded, and the new request is sent right away.
  */
 Drupal.ajax.prototype.eventResponse = function (element, event) {
   event.preventDefault();
@@ -320,12 +507,44 @@ Drupal.ajax.prototype.eventResponse = function (element, event) {
 
   // Create a synonym for this to reduce code confusion.
   var ajax = this;
+  var channel = ajax.getChannel();
 
-  // Do not perform another ajax command if one is already in progress.
-  if (ajax.ajaxing) {
+  // Do not submit forms that fail client-side validation.
+  if (ajax.form && Drupal.formValidation && $(element).is(':submit, input[type="image"]') &&
+    Drupal.formValidation.isRequired(element) && !Drupal.formValidation.validate(ajax.form.get(0))) {
     return;
   }
 
+  // Apply the concurrency policy if a request is already in progress.
+  if (channel.active) {
+    switch (ajax.concurrency) {
+      case 'queue':
+        channel.queue.push({ ajax: ajax, element: element });
+        return;
+
+      case 'replace':
+        channel.queue = [];
+        channel.active.abort();
+        break;
+
+      default:
+        return;
+    }
+  }
+
+  ajax.sendRequest(element);
+};
+
+/**
+ * Perform the Ajax request for the given element.
+ */
+Drupal.ajax.prototype.sendRequest = function (element) {
+  // Create a synonym for this to reduce code confusion.
+  var ajax = this;
+
+  // Remember the element, in case the request has to be retried.
+  ajax.requestElement = element;
+
   try {
     if (ajax.form) {
       // If setClick is set, we must set this to ensure that the button's
@@ -349,8 +568,81 @@ Drupal.ajax.prototype.eventResponse = function (element, event) {
     // Unset the ajax.ajaxing flag here because it won't be unset during
     // the complete response.
     ajax.ajaxing = false;
-    window.alert("An error occurred while attempting to process " + ajax.options.url + ": " + e.message);
+    ajax.xhr = null;
+    ajax.releaseChannel();
+    Drupal.message.add(Drupal.t('An error occurred while attempting to process @url: @message', { '@url': ajax.options.url, '@message': e.message }), 'error');
+  }
+};
+
+/**
+ * Return the request channel of this Ajax object.
+ *
+ * A channel holds the Ajax object whose request is in progress and the
+ * requests waiting for it to complete. By default each Ajax object has a
+ * channel of its own. When the 'concurrencyScope' setting is 'form', all Ajax
+ * objects of a form that also use the 'form' scope share a single channel, so
+ * that their requests never overlap.
+ */
+Drupal.ajax.prototype.getChannel = function () {
+  var channel;
+  if (this.concurrencyScope === 'form' && this.form) {
+    channel = this.form.data('drupal-ajax-channel');
+    if (!channel) {
+      channel = { active: null, queue: [] };
+      this.form.data('drupal-ajax-channel', channel);
+    }
+    return channel;
+  }
+  if (!this.channel) {
+    this.channel = { active: null, queue: [] };
   }
+  return this.channel;
+};
+
+/**
+ * Mark the channel as idle and send the next queued request, if any.
+ */
+Drupal.ajax.prototype.releaseChannel = function () {
+  var channel = this.getChannel();
+  if (channel.active === this) {
+    channel.active = null;
+  }
+  if (!channel.active && channel.queue.length) {
+    var next = channel.queue.shift();
+    next.ajax.sendRequest(next.element);
+  }
+};
+
+/**
+ * Abort the request of this Ajax object.
+ *
+ * Requests of this Ajax object that are still waiting in the queue are
+ * discarded as well. Once the request has been aborted, the 'ajax:abort' event
+ * is triggered on the element.
+ *
+ * @return
+ *   TRUE if a request in progress was aborted, FALSE otherwise.
+ */
+Drupal.ajax.prototype.abort = function () {
+  var ajax = this;
+  var channel = ajax.getChannel();
+  channel.queue = $.grep(channel.queue, function (item) {
+    return item.ajax !== ajax;
+  });
+  if (ajax.xhr) {
+    ajax.xhr.abort();
+    return true;
+  }
+  // Cancel a pending retry of a request that failed.
+  if (ajax.retryTimer) {
+    window.clearTimeout(ajax.retryTimer);
+    ajax.retryTimer = null;
+    ajax.attempts = 0;
+    $(ajax.element).trigger('ajax:abort', [ajax, ajax.url]);
+    ajax.releaseChannel();
+    return true;
+  }
+  return false;
 };
 
 /**
@@ -443,8 +735,11 @@ Drupal.ajax.prototype.beforeSend = function (xmlhttprequest, options) {
   // Disable the element that received the change to prevent user interface
   // interaction while the Ajax request is in progress. ajax.ajaxing prevents
   // the element from triggering a new request, but does not prevent the user
-  // from changing its value.
-  $(this.element).addClass('progress-disabled').prop('disabled', true);
+  // from changing its value. Elements that queue or replace requests have to
+  // stay enabled, otherwise they could not trigger a new request.
+  if (this.concurrency === 'drop') {
+    $(this.element).addClass('progress-disabled').prop('disabled', true);
+  }
 
   // Insert progressbar or throbber.
   if (this.progress.type === 'bar') {
@@ -452,8 +747,12 @@ Drupal.ajax.prototype.beforeSend = function (xmlhttprequest, options) {
     if (this.progress.message) {
       progressBar.setProgress(-1, this.progress.message);
     }
-    if (this.progress.url) {
-      progressBar.startMonitoring(this.progress.url, this.progress.interval || 1500);
+    if (this.progress.url || this.progress.streamUrl) {
+      progressBar.startMonitoring(this.progress.url, {
+        delay: this.progress.interval || 1500,
+        maxDelay: this.progress.maxInterval,
+        eventSource: this.progress.streamUrl
+      });
     }
     this.progress.element = $(progressBar.element).addClass('ajax-progress ajax-progress-bar');
     this.progress.object = progressBar;
@@ -470,8 +769,13 @@ Drupal.ajax.prototype.beforeSend = function (xmlhttprequest, options) {
 
 /**
  * Handler for the form redirection completion.
+ *
+ * @return
+ *   A promise that is resolved once all commands in the response ran.
  */
 Drupal.ajax.prototype.success = function (response, status) {
+  var ajax = this;
+
   // Remove the progress element.
   if (this.progress.element) {
     $(this.progress.element).remove();
@@ -481,24 +785,108 @@ Drupal.ajax.prototype.success = function (response, status) {
   }
   $(this.element).removeClass('progress-disabled').prop('disabled', false);
 
+  return this.processCommands(response, status).always(function () {
+    // Reattach behaviors, if they were detached in beforeSerialize(). The
+    // attachBehaviors() called on the new content from processing the response
+    // commands is not sufficient, because behaviors from the entire form need
+    // to be reattached.
+    try {
+      if (ajax.form) {
+        var settings = ajax.settings || drupalSettings;
+        Drupal.attachBehaviors(ajax.form, settings);
+      }
+    }
+    catch (e) {
+      // Throwing here would keep the following callbacks from running, such
+      // as the one releasing the channel of the request.
+      window.setTimeout(function () {
+        throw e;
+      }, 0);
+    }
+
+    // Remove any response-specific settings so they don't get used on the next
+    // call by mistake.
+    ajax.settings = null;
+  });
+};
+
+/**
+ * Run the commands of a response, one after another.
+ *
+ * A command may return a promise to make the following commands wait until
+ * it is resolved. If it is rejected, or a command throws an error, the
+ * following commands are skipped and the returned promise is rejected.
+ *
+ * Unknown commands and commands that do not match the schema they were
+ * registered with are skipped. When drupalSettings.ajaxDebug is set, which is
+ * the case when errors are displayed verbosely, a Drupal.AjaxCommandError
+ * listing them is thrown after all other commands ran.
+ *
+ * @return
+ *   A promise that is resolved once all commands ran.
+ *
+ * @see Drupal.AjaxCommands.register()
+ */
+Drupal.ajax.prototype.processCommands = function (response, status) {
+  var ajax = this;
+  var deferred = $.Deferred();
+  var keys = [];
+  var errors = [];
+  var index = 0;
+
   for (var i in response) {
-    if (response.hasOwnProperty(i) && response[i].command && this.commands[response[i].command]) {
-      this.commands[response[i].command](this, response[i], status);
+    if (response.hasOwnProperty(i) && response[i].command) {
+      keys.push(i);
     }
   }
 
-  // Reattach behaviors, if they were detached in beforeSerialize(). The
-  // attachBehaviors() called on the new content from processing the response
-  // commands is not sufficient, because behaviors from the entire form need
-  // to be reattached.
-  if (this.form) {
-    var settings = this.settings || drupalSettings;
-    Drupal.attachBehaviors(this.form, settings);
+  function fail() {
+    deferred.rejectWith(ajax, arguments);
   }
 
-  // Remove any response-specific settings so they don't get used on the next
-  // call by mistake.
-  this.settings = null;
+  function next() {
+    try {
+      while (index < keys.length) {
+        var command = response[keys[index++]];
+        if (!ajax.commands[command.command]) {
+          errors.push({ command: command.command, message: Drupal.t('Unknown command.') });
+          continue;
+        }
+        var violations = Drupal.AjaxCommands.validate(command);
+        if (violations.length) {
+          errors.push({ command: command.command, message: violations.join(' ') });
+          continue;
+        }
+        var result = ajax.commands[command.command](ajax, command, status);
+        // Wait for asynchronous commands before running the next one.
+        if (result && typeof result.then === 'function') {
+          result.then(next, fail);
+          return;
+        }
+      }
+    }
+    catch (e) {
+      // Settle the promise, so that the channel of the request is released
+      // even if a command threw after an asynchronous one. The error is still
+      // thrown, outside of the request handling.
+      fail(e);
+      window.setTimeout(function () {
+        throw e;
+      }, 0);
+      return;
+    }
+    deferred.resolveWith(ajax, [response, status]);
+    // Throw outside of the request handling, so that the request still
+    // completes normally.
+    if (errors.length && drupalSettings.ajaxDebug) {
+      window.setTimeout(function () {
+        throw new Drupal.AjaxCommandError(errors);
+      }, 0);
+    }
+  }
+
+  next();
+  return deferred.promise();
 };
 
 /**
@@ -548,13 +936,261 @@ Drupal.ajax.prototype.error = function (response, uri) {
     var settings = response.settings || this.settings || drupalSettings;
     Drupal.attachBehaviors(this.form, settings);
   }
-  throw new Drupal.AjaxError(response, uri);
+  // Inform the user. The debugging information is only shown in debug mode,
+  // but it is always available to developers through the thrown error.
+  var error = new Drupal.AjaxError(response, uri);
+  if (drupalSettings.ajaxDebug) {
+    Drupal.message.add('<pre>' + Drupal.checkPlain($.trim(error.message)) + '</pre>', 'error');
+  }
+  else {
+    Drupal.message.add(Drupal.t('An error occurred while processing your request. Please try again.'), 'error');
+  }
+  throw error;
+};
+
+/**
+ * Handler for an aborted request.
+ */
+Drupal.ajax.prototype.aborted = function (response, uri) {
+  this.cleanUp();
+  $(this.element).trigger('ajax:abort', [this, uri]);
 };
 
+/**
+ * Handler for requests that failed because the server could not be reached.
+ *
+ * Depending on the 'retry' setting, the request is sent again after a delay
+ * that doubles with every attempt, starting at 'retryDelay' milliseconds. If
+ * all attempts failed and the 'replay' setting is enabled, the request is
+ * stored to be sent again once the browser is back online.
+ *
+ * @return
+ *   TRUE if the failure was handled, FALSE if it should be reported as an
+ *   error.
+ *
+ * @see Drupal.ajax.replayRequests()
+ */
+Drupal.ajax.prototype.networkError = function (response, uri) {
+  var ajax = this;
+  ajax.attempts = (ajax.attempts || 0) + 1;
+
+  if (ajax.attempts <= ajax.retry) {
+    var delay = ajax.retryDelay * Math.pow(2, ajax.attempts - 1);
+    ajax.cleanUp();
+    Drupal.announce(Drupal.formatPlural(Math.ceil(delay / 1000), 'The server could not be reached. Trying again in 1 second.', 'The server could not be reached. Trying again in @count seconds.'));
+    ajax.retryTimer = window.setTimeout(function () {
+      ajax.retryTimer = null;
+      ajax.sendRequest(ajax.requestElement);
+    }, delay);
+    return true;
+  }
+
+  ajax.attempts = 0;
+  if (ajax.replay && ajax.request && Drupal.ajax.storeRequest(ajax.request)) {
+    ajax.cleanUp();
+    Drupal.announce(Drupal.t('You are offline. Your changes will be sent once the connection is restored.'));
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Restore the element after a request that did not produce a response.
+ */
+Drupal.ajax.prototype.cleanUp = function () {
+  // Remove the progress element.
+  if (this.progress.element) {
+    $(this.progress.element).remove();
+  }
+  if (this.progress.object) {
+    this.progress.object.stopMonitoring();
+  }
+  // Re-enable the element.
+  $(this.element).removeClass('progress-disabled').prop('disabled', false);
+  // Reattach behaviors, if they were detached in beforeSerialize().
+  if (this.form) {
+    var settings = this.settings || drupalSettings;
+    Drupal.attachBehaviors(this.form, settings);
+  }
+};
+
+/**
+ * Read or write the requests stored to be replayed.
+ *
+ * @param requests
+ *   (optional) The array of requests to store. If omitted, the stored requests
+ *   are returned.
+ *
+ * @return
+ *   The stored requests when reading, whether they were stored when writing.
+ *   Storage may be unavailable, as in private browsing, full or hold corrupt
+ *   data, in which case nothing is stored or read.
+ */
+function replayStorage(requests) {
+  try {
+    if (requests) {
+      if (requests.length) {
+        window.localStorage.setItem('Drupal.ajax.replayRequests', JSON.stringify(requests));
+      }
+      else {
+        window.localStorage.removeItem('Drupal.ajax.replayRequests');
+      }
+      return true;
+    }
+    requests = JSON.parse(window.localStorage.getItem('Drupal.ajax.replayRequests'));
+    return $.isArray(requests) ? requests : [];
+  }
+  catch (e) {
+    return requests ? false : [];
+  }
+}
+
+/**
+ * Store a request to be sent once the browser is back online.
+ *
+ * The request is only replayed on the same page, within 6 hours, after which
+ * the form it was made for has expired from the form cache.
+ *
+ * @param request
+ *   An object with the keys 'url', 'data' (the serialized request data) and
+ *   'accepts'.
+ *
+ * @return
+ *   Whether the request was stored.
+ */
+Drupal.ajax.storeRequest = function (request) {
+  var requests = replayStorage();
+  requests.push($.extend({}, request, {
+    page: window.location.pathname + window.location.search,
+    expires: new Date().getTime() + 6 * 3600 * 1000
+  }));
+  return replayStorage(requests);
+};
+
+/**
+ * Send the requests stored while the browser was offline on this page, in
+ * order.
+ *
+ * The commands in the responses are run as usual. Expired requests are
+ * discarded.
+ */
+Drupal.ajax.replayRequests = function () {
+  var page = window.location.pathname + window.location.search;
+  var now = new Date().getTime();
+  var requests = [];
+  var kept = $.grep(replayStorage(), function (request) {
+    if (!request || !request.expires || request.expires <= now) {
+      return false;
+    }
+    if (request.page === page) {
+      requests.push(request);
+      return false;
+    }
+    return true;
+  });
+  var count = requests.length;
+  // Do not replay the requests again if they cannot be removed.
+  if (count && !replayStorage(kept)) {
+    return;
+  }
+
+  function next() {
+    var request = requests.shift();
+    if (request) {
+      var ajax = new Drupal.ajax(false, null, {
+        url: request.url,
+        accepts: request.accepts,
+        progress: { type: 'none' },
+        replay: true
+      });
+      // The data was serialized already, so skip the form serialization.
+      $.ajax($.extend({}, ajax.options, { data: request.data })).always(next);
+    }
+    else if (count) {
+      Drupal.announce(Drupal.t('The connection was restored and your changes were sent.'));
+    }
+  }
+
+  next();
+};
+
+$(window).on('online', Drupal.ajax.replayRequests);
+
 /**
  * Provide a series of commands that the server can request the client perform.
+ *
+ * Modules provide additional commands through Drupal.AjaxCommands.register().
  */
 Drupal.AjaxCommands = function () {};
+
+/**
+ * Register an Ajax command.
+ *
+ * @code
+ *   Drupal.AjaxCommands.register('taskDone', function (ajax, response, status) {
+ *     $(response.selector).addClass('task-done');
+ *   }, { selector: 'string', title: '?string' });
+ * @endcode
+ *
+ * @param name
+ *   The name of the command, as used by the server.
+ * @param handler
+ *   The function running the command. It receives the Drupal.ajax object, the
+ *   command and the response status. It may return a promise, in which case
+ *   the remaining commands of the response are only run once it is resolved.
+ * @param schema
+ *   (optional) An object describing the properties the command requires,
+ *   keyed by property name. Values are the expected type as returned by
+ *   typeof, or 'array'. Types prefixed with '?' denote properties that may be
+ *   omitted or NULL. Commands that do not match their schema are not run.
+ */
+Drupal.AjaxCommands.register = function (name, handler, schema) {
+  Drupal.AjaxCommands.prototype[name] = handler;
+  if (schema) {
+    Drupal.AjaxCommands.schemas[name] = schema;
+  }
+  else {
+    delete Drupal.AjaxCommands.schemas[name];
+  }
+};
+
+/**
+ * Check a command against the schema of its registration.
+ *
+ * @param command
+ *   The command object from an Ajax response.
+ * @return
+ *   An array of messages describing the problems found, empty if the command
+ *   is valid.
+ */
+Drupal.AjaxCommands.validate = function (command) {
+  var schema = Drupal.AjaxCommands.schemas[command.command];
+  var violations = [];
+  var property, type, value, optional;
+  if (!schema) {
+    return violations;
+  }
+  for (property in schema) {
+    if (schema.hasOwnProperty(property)) {
+      type = schema[property];
+      value = command[property];
+      optional = type.charAt(0) === '?';
+      if (optional) {
+        type = type.substr(1);
+      }
+      if (typeof value === 'undefined' || value === null) {
+        if (!optional) {
+          violations.push(Drupal.t('Missing property @property.', { '@property': property }));
+        }
+      }
+      else if (type === 'array' ? !$.isArray(value) : typeof value !== type) {
+        violations.push(Drupal.t('Property @property must be of type @type.', { '@property': property, '@type': type }));
+      }
+    }
+  }
+  return violations;
+};
+
 Drupal.AjaxCommands.prototype = {
   /**
    * Command to insert new content into the DOM.
@@ -652,9 +1288,15 @@ Drupal.AjaxCommands.prototype = {
 
   /**
    * Command to provide an alert.
+   *
+   * The alert is displayed as a warning message.
    */
   alert: function (ajax, response, status) {
-    window.alert(response.text, response.title);
+    var text = Drupal.checkPlain(response.text);
+    if (response.title) {
+      text = '<strong>' + Drupal.checkPlain(response.title) + '</strong> ' + text;
+    }
+    Drupal.message.add(text, 'warning');
   },
 
   /**
@@ -733,4 +1375,26 @@ Drupal.AjaxCommands.prototype = {
   }
 };
 
+/**
+ * Schemas of the commands provided by this file.
+ *
+ * Note that empty PHP arrays are encoded as JSON arrays, which is why
+ * properties holding settings are only checked to be objects.
+ *
+ * @see Drupal.AjaxCommands.register()
+ */
+Drupal.AjaxCommands.schemas = {
+  insert: { selector: '?string', method: '?string', settings: '?object' },
+  remove: { selector: 'string', settings: '?object' },
+  changed: { selector: 'string', asterisk: '?string' },
+  alert: { text: 'string', title: '?string' },
+  redirect: { url: 'string' },
+  css: { selector: 'string', argument: 'object' },
+  settings: { settings: 'object' },
+  data: { selector: 'string', name: 'string' },
+  invoke: { selector: 'string', method: 'string', args: '?array' },
+  restripe: { selector: 'string' },
+  add_css: { data: 'string' }
+};
+
 })(jQuery, this, Drupal, drupalSettings);
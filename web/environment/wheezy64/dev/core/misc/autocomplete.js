@@ -1,3 +1,18 @@
+/**
+ * @file
+ * Autocomplete based on jQuery UI.
+ *
+ * The autocomplete path returns an array of suggestions, either as strings or
+ * as objects with the following keys:
+ * - value: The value of the suggestion, such as an entity ID. It is stored in
+ *   the element referenced by the data-autocomplete-value attribute of the
+ *   textfield, if any, while the label is inserted in the textfield.
+ * - label: The plain text label of the suggestion.
+ * - description: (optional) A plain text description shown below the label.
+ * - icon: (optional) The URL of an icon shown beside the label.
+ * - group: (optional) The label of the group the suggestion is listed under.
+ */
+
 (function ($, Drupal) {
 
 "use strict";
@@ -51,6 +66,103 @@ function extractLastTerm (terms) {
   return autocomplete.splitValues(terms).pop();
 }
 
+/**
+ * Removes the quotes around a term containing commas.
+ *
+ * @param {String} term
+ *
+ * @return {String}
+ */
+function unquoteTerm (term) {
+  return term.replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Converts the suggestions returned by the autocomplete path to menu items.
+ *
+ * Structured suggestions are kept in the 'suggestion' key of the items, and
+ * sorted so that suggestions of the same group are listed together.
+ *
+ * @param {Array} data
+ *
+ * @return {Array}
+ */
+function normalizeSuggestions (data) {
+  var groups = [];
+  var items = $.map(data, function (suggestion) {
+    if (typeof suggestion !== 'object' || suggestion === null) {
+      return { label: String(suggestion), value: String(suggestion) };
+    }
+    var label = String(typeof suggestion.label !== 'undefined' ? suggestion.label : suggestion.value);
+    var group = suggestion.group || '';
+    if ($.inArray(group, groups) === -1) {
+      groups.push(group);
+    }
+    return { label: label, value: label, suggestion: suggestion };
+  });
+  // Sort by the order in which the groups first appear, keeping the order
+  // within each group.
+  $.each(items, function (index, item) {
+    item.index = index;
+  });
+  return items.sort(function (a, b) {
+    var groupA = a.suggestion ? $.inArray(a.suggestion.group || '', groups) : 0;
+    var groupB = b.suggestion ? $.inArray(b.suggestion.group || '', groups) : 0;
+    return (groupA - groupB) || (a.index - b.index);
+  });
+}
+
+/**
+ * Stores the values of the selected suggestions in the companion element.
+ *
+ * The textfield may reference an element, usually hidden, with the
+ * data-autocomplete-value attribute. The values of the suggestions whose
+ * labels are in the textfield are stored in it, separated by commas.
+ *
+ * @param {HTMLElement} input
+ */
+function updateCompanionValue (input) {
+  var selector = input.getAttribute('data-autocomplete-value');
+  if (!selector) {
+    return;
+  }
+  var values = $(input).data('autocompleteValues') || {};
+  var result = [];
+  var terms = autocomplete.splitValues(input.value);
+  for (var i = 0, il = terms.length; i < il; i++) {
+    var label = unquoteTerm(terms[i]);
+    if (values.hasOwnProperty(label)) {
+      result.push(values[label]);
+    }
+  }
+  $(selector).val(result.join(', ')).trigger('change');
+}
+
+/**
+ * Returns text as HTML with the occurrences of a term highlighted.
+ *
+ * @param {String} text
+ * @param {String} term
+ *
+ * @return {String}
+ */
+function highlightTerm (text, term) {
+  var html = '';
+  var lowerText = text.toLowerCase();
+  var lowerTerm = $.trim(term).toLowerCase();
+  var position = 0;
+  var index;
+  if (!lowerTerm) {
+    return Drupal.checkPlain(text);
+  }
+  while ((index = lowerText.indexOf(lowerTerm, position)) !== -1) {
+    html += Drupal.checkPlain(text.substring(position, index));
+    html += '<strong class="autocomplete-match">' + Drupal.checkPlain(text.substr(index, lowerTerm.length)) + '</strong>';
+    position = index + lowerTerm.length;
+  }
+  return html + Drupal.checkPlain(text.substring(position));
+}
+
 /**
  * The search handler is called before a search is performed.
  *
@@ -84,14 +196,10 @@ function sourceData (request, response) {
    * @param {Object} suggestions
    */
   function showSuggestions (suggestions) {
-    var tagged = autocomplete.splitValues(request.term);
-    for (var i = 0, il = tagged.length; i < il; i++) {
-      var index = suggestions.indexOf(tagged[i]);
-      if (index >= 0) {
-        suggestions.splice(index, 1);
-      }
-    }
-    response(suggestions);
+    var tagged = $.map(autocomplete.splitValues(request.term), unquoteTerm);
+    response($.grep(normalizeSuggestions(suggestions), function (item) {
+      return $.inArray(item.label, tagged) === -1;
+    }));
   }
 
   /**
@@ -129,6 +237,68 @@ function focusHandler () {
   return false;
 }
 
+/**
+ * Handles an autocompleteresponse event.
+ *
+ * Adds an item telling that no suggestions match the term.
+ *
+ * @param {Object} event
+ * @param {Object} ui
+ */
+function responseHandler (event, ui) {
+  var noMatches = !ui.content.length;
+  // Remember whether the response only holds the "no matches" item, for the
+  // message announced by this widget.
+  $(event.target).data('autocompleteNoMatches', noMatches);
+  if (noMatches) {
+    ui.content.push({ label: Drupal.t('No matches found'), value: '', noMatches: true });
+  }
+}
+
+/**
+ * Renders the suggestions, under the label of their group.
+ *
+ * Called in the context of the jQuery UI autocomplete widget.
+ *
+ * @param {jQuery} ul
+ * @param {Array} items
+ */
+function renderMenu (ul, items) {
+  /*jshint validthis:true */
+  var widget = this;
+  var group = '';
+  $.each(items, function (index, item) {
+    var itemGroup = item.suggestion && item.suggestion.group ? String(item.suggestion.group) : '';
+    if (itemGroup && itemGroup !== group) {
+      $('<li class="autocomplete-group" role="presentation"></li>').text(itemGroup).appendTo(ul);
+    }
+    group = itemGroup;
+    widget._renderItemData(ul, item);
+  });
+}
+
+/**
+ * Renders a suggestion.
+ *
+ * Called in the context of the jQuery UI autocomplete widget.
+ *
+ * @param {jQuery} ul
+ * @param {Object} item
+ *
+ * @return {jQuery}
+ */
+function renderItem (ul, item) {
+  // The "no matches" item cannot be selected, so it has no link.
+  if (item.noMatches) {
+    return $('<li class="autocomplete-no-matches" role="presentation"></li>').text(item.label).appendTo(ul);
+  }
+  /*jshint validthis:true */
+  var term = autocomplete.extractLastTerm(this.term || '');
+  return $('<li></li>')
+    .append($('<a></a>').html(Drupal.theme('autocompleteSuggestion', item.suggestion || item, term)))
+    .appendTo(ul);
+}
+
 /**
  * Handles an autocompleteselect event.
  *
@@ -149,6 +319,13 @@ function selectHandler (event, ui) {
     terms.push(ui.item.value);
   }
   event.target.value = terms.join(', ');
+  // Keep the value of structured suggestions for the companion element.
+  if (ui.item.suggestion) {
+    var values = $(event.target).data('autocompleteValues') || {};
+    values[ui.item.value] = ui.item.suggestion.value;
+    $(event.target).data('autocompleteValues', values);
+  }
+  updateCompanionValue(event.target);
   // Return false to tell jQuery UI that we've filled in the value already.
   return false;
 }
@@ -162,13 +339,26 @@ Drupal.behaviors.autocomplete = {
     var $autocomplete = $(context).find('input.form-autocomplete').once('autocomplete');
     if ($autocomplete.length) {
       // Use jQuery UI Autocomplete on the textfield.
-      $autocomplete.autocomplete(autocomplete.options);
+      $autocomplete.autocomplete(autocomplete.options)
+        .each(function () {
+          var widget = $(this).data('ui-autocomplete');
+          widget._renderMenu = autocomplete.renderMenu;
+          widget._renderItem = autocomplete.renderItem;
+          // Each widget has its own copy of the options, so the message can
+          // refer to this textfield.
+          widget.options.messages.results = $.proxy(autocomplete.options.messages.results, this);
+        })
+        // Drop the values of suggestions removed from the textfield.
+        .on('input.autocomplete change.autocomplete', function () {
+          updateCompanionValue(this);
+        });
     }
   },
   detach: function (context, settings, trigger) {
     if (trigger === 'unload') {
       $(context).find('input.form-autocomplete')
         .removeOnce('autocomplete')
+        .off('.autocomplete')
         .autocomplete('destroy');
     }
   }
@@ -183,18 +373,60 @@ autocomplete = {
   minLength: 1,
   splitValues: autocompleteSplitValues,
   extractLastTerm: extractLastTerm,
+  highlightTerm: highlightTerm,
+  renderMenu: renderMenu,
+  renderItem: renderItem,
   // jQuery UI autocomplete options.
   options: {
     source: sourceData,
     focus: focusHandler,
     search: searchHandler,
-    select: selectHandler
+    response: responseHandler,
+    select: selectHandler,
+    messages: {
+      noResults: Drupal.t('No matches found'),
+      // Called with the textfield as this.
+      results: function (amount) {
+        /*jshint validthis:true */
+        if ($(this).data('autocompleteNoMatches')) {
+          return Drupal.t('No matches found');
+        }
+        return Drupal.formatPlural(amount, '1 result is available, use up and down arrow keys to navigate.', '@count results are available, use up and down arrow keys to navigate.');
+      }
+    }
   },
   ajax: {
     dataType: 'json'
   }
 };
 
+/**
+ * Theme function for the content of an autocomplete suggestion.
+ *
+ * @param {Object|String} suggestion
+ *   The suggestion returned by the autocomplete path.
+ * @param {String} term
+ *   The term to highlight.
+ *
+ * @return {String}
+ *   The HTML for the suggestion.
+ */
+Drupal.theme.autocompleteSuggestion = function (suggestion, term) {
+  if (typeof suggestion !== 'object') {
+    return autocomplete.highlightTerm(String(suggestion), term);
+  }
+  var label = String(typeof suggestion.label !== 'undefined' ? suggestion.label : suggestion.value);
+  var html = '';
+  if (suggestion.icon) {
+    html += '<img class="autocomplete-icon" src="' + Drupal.checkPlain(suggestion.icon) + '" alt="" />';
+  }
+  html += '<span class="autocomplete-label">' + autocomplete.highlightTerm(label, term) + '</span>';
+  if (suggestion.description) {
+    html += '<span class="autocomplete-description">' + autocomplete.highlightTerm(String(suggestion.description), term) + '</span>';
+  }
+  return html;
+};
+
 Drupal.autocomplete = autocomplete;
 
 })(jQuery, Drupal);
@@ -2,6 +2,19 @@
 
 "use strict";
 
+/**
+ * Formats a number of seconds as a rounded, human-readable duration.
+ */
+function formatDuration(seconds) {
+  if (seconds < 60) {
+    return Drupal.formatPlural(Math.max(Math.ceil(seconds), 1), '1 second', '@count seconds');
+  }
+  if (seconds < 3600) {
+    return Drupal.formatPlural(Math.round(seconds / 60), '1 minute', '@count minutes');
+  }
+  return Drupal.formatPlural(Math.round(seconds / 3600), '1 hour', '@count hours');
+}
+
 /**
  * Attaches the batch behavior to progress bars.
  */
@@ -10,6 +23,32 @@ Drupal.behaviors.batch = {
     var batch = settings.batch;
     var $progress = $('#progress').once('batch');
     var progressBar;
+    var $controls;
+    var paused = false;
+    // Progress samples of the last 30 seconds, to estimate the remaining time.
+    var samples = [];
+    // The last estimate read to screen reader users, and when.
+    var announced = { estimate: '', time: 0 };
+
+    function updateEstimate(percentage) {
+      var now = new Date().getTime();
+      samples.push({ time: now, percentage: percentage });
+      while (samples.length > 2 && now - samples[0].time > 30000) {
+        samples.shift();
+      }
+      var rate = (percentage - samples[0].percentage) / (now - samples[0].time);
+      var estimate = '';
+      if (rate > 0) {
+        estimate = Drupal.t('Estimated time remaining: @time', { '@time': formatDuration((100 - percentage) / rate / 1000) });
+      }
+      $controls.find('.batch-controls__estimate').text(estimate);
+      // The estimate is rounded, so it only changes noticeably. Still, do not
+      // interrupt screen readers with it more than every 10 seconds.
+      if (estimate && estimate !== announced.estimate && now - announced.time >= 10000) {
+        Drupal.announce(estimate);
+        announced = { estimate: estimate, time: now };
+      }
+    }
 
     // Success: redirect to the summary.
     function updateCallback(progress, status, pb) {
@@ -17,23 +56,138 @@ Drupal.behaviors.batch = {
         pb.stopMonitoring();
         window.location = batch.uri + '&op=finished';
       }
+      else if (progress >= 0) {
+        updateEstimate(parseFloat(progress));
+      }
     }
 
     function errorCallback(pb) {
       $progress.prepend($('<p class="error"></p>').html(batch.errorMessage));
       $('#wait').hide();
+      $controls.remove();
+    }
+
+    function start() {
+      // The speed of processing may differ after a pause.
+      samples = [];
+      // Each request processes the batch, so the delay between them does not
+      // grow while the progress does not change.
+      progressBar.startMonitoring(batch.uri + '&op=do', {
+        delay: batch.interval,
+        eventSource: batch.stream ? batch.uri + '&op=do_stream' : null
+      });
+    }
+
+    function pause() {
+      paused = true;
+      progressBar.stopMonitoring();
+      $controls.find('.batch-controls__estimate').text('');
+    }
+
+    // Wait for the request sent before pausing, which would otherwise process
+    // the batch at the same time as the next one.
+    function resume() {
+      paused = false;
+      $.when(progressBar.request).always(function () {
+        if (!paused && !progressBar.uri) {
+          start();
+        }
+      });
+    }
+
+    // Cancel: have the server skip the remaining operations, then redirect to
+    // the summary of the processed ones.
+    function cancel() {
+      // A running stream sends a last event once its current pass is done,
+      // which redirects to the summary.
+      var streaming = !!progressBar.eventSource;
+      if (!streaming) {
+        pause();
+      }
+      $controls.find('button').prop('disabled', true);
+      progressBar.setProgress(-1, Drupal.t('Cancelling.'));
+      // Wait for the current request, which would otherwise store the batch
+      // again without the cancellation.
+      $.when(streaming ? null : progressBar.request).always(function () {
+        $.ajax({
+          type: 'POST',
+          url: batch.uri + '&op=cancel',
+          data: '',
+          dataType: 'json',
+          success: function () {
+            if (!streaming) {
+              window.location = batch.uri + '&op=finished';
+            }
+          },
+          error: function (xmlhttp) {
+            var e = new Drupal.AjaxError(xmlhttp, batch.uri + '&op=cancel');
+            progressBar.displayError('<pre>' + e.message + '</pre>');
+          }
+        });
+      });
     }
 
     if ($progress.length) {
       progressBar = new Drupal.ProgressBar('updateprogress', updateCallback, 'POST', errorCallback);
       progressBar.setProgress(-1, batch.initMessage);
-      progressBar.startMonitoring(batch.uri + '&op=do', 10);
+      $controls = $(Drupal.theme('batchControls'));
+      $controls.find('.batch-controls__resume').hide();
+      $controls.on('click', '.batch-controls__pause', function () {
+        pause();
+        $(this).hide();
+        $controls.find('.batch-controls__resume').show().trigger('focus');
+        Drupal.announce(Drupal.t('Processing paused.'));
+      });
+      $controls.on('click', '.batch-controls__resume', function () {
+        resume();
+        $(this).hide();
+        $controls.find('.batch-controls__pause').show().trigger('focus');
+        Drupal.announce(Drupal.t('Processing resumed.'));
+      });
+      $controls.on('click', '.batch-controls__cancel', function () {
+        var wasPaused = paused;
+        // A stream cannot be interrupted during a pass, so it keeps running
+        // until the cancellation is confirmed.
+        var streaming = !!progressBar.eventSource;
+        if (!streaming) {
+          pause();
+        }
+        Drupal.dialog.confirm(Drupal.t('Cancel the remaining operations? The operations that were already processed are kept.'), {
+          confirmText: Drupal.t('Cancel operations'),
+          cancelText: Drupal.t('Continue'),
+          destructive: true
+        }).done(function (confirmed) {
+          if (confirmed) {
+            cancel();
+          }
+          else if (!wasPaused && !streaming) {
+            resume();
+          }
+        });
+      });
+      start();
       // Remove HTML from no-js progress bar.
       $progress.empty();
       // Append the JS progressbar element.
-      $progress.append(progressBar.element);
+      $progress.append(progressBar.element, $controls);
     }
   }
 };
 
+/**
+ * Theme function for the controls of a running batch.
+ *
+ * @return
+ *   The HTML for the pause, resume and cancel buttons, and the estimated time
+ *   remaining.
+ */
+Drupal.theme.batchControls = function () {
+  return '<div class="batch-controls">' +
+    '<span class="batch-controls__estimate"></span> ' +
+    '<button type="button" class="button batch-controls__pause">' + Drupal.t('Pause') + '</button>' +
+    '<button type="button" class="button batch-controls__resume">' + Drupal.t('Resume') + '</button>' +
+    '<button type="button" class="button batch-controls__cancel">' + Drupal.t('Cancel') + '</button>' +
+    '</div>';
+};
+
 })(jQuery, Drupal);
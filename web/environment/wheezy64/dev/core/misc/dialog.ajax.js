@@ -7,6 +7,91 @@
 
   "use strict";
 
+  /**
+   * The modal dialogs covered by a nested modal dialog, from the bottom up.
+   *
+   * Each entry is an object with the following keys:
+   * - $element: The element of the covered dialog.
+   * - id: The original ID of the element.
+   * - focused: The element that had the focus in the covered dialog.
+   * - $nested: The element of the nested dialog covering it.
+   */
+  var stack = [];
+
+  /**
+   * Returns the index of the stack entry of a dialog.
+   *
+   * @param $dialog
+   *   The element of the dialog.
+   * @param key
+   *   The key of the entry holding the element: '$element' for covered
+   *   dialogs, '$nested' for nested dialogs.
+   *
+   * @return
+   *   The index of the entry, or -1 if there is none.
+   */
+  function findEntry($dialog, key) {
+    for (var i = stack.length - 1; i >= 0; i--) {
+      if (stack[i][key] && stack[i][key][0] === $dialog[0]) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Moves an open modal dialog down the stack to make room for a nested one.
+   *
+   * The element of the dialog is renamed, so that the nested dialog can use its
+   * ID and AJAX commands targeting the ID act on the top-most dialog. Closing
+   * the covered dialog closes the dialogs above it first.
+   *
+   * @param $dialog
+   *   The element of the open modal dialog.
+   */
+  function pushDialog($dialog) {
+    stack.push({
+      $element: $dialog,
+      id: $dialog.attr('id'),
+      focused: document.activeElement,
+      $nested: null
+    });
+    $dialog.attr('id', $dialog.attr('id') + '--' + stack.length);
+    $dialog.on('dialogbeforeclose.dialogStack', function () {
+      var index = findEntry($dialog, '$element');
+      while (index !== -1 && stack.length > index) {
+        var length = stack.length;
+        Drupal.dialog(stack[length - 1].$nested).close();
+        // Stop if a dialog refused to close.
+        if (stack.length === length) {
+          return false;
+        }
+      }
+    });
+  }
+
+  /**
+   * Restores the dialog covered by a nested dialog that was closed.
+   *
+   * @param $dialog
+   *   The element of the nested dialog.
+   */
+  function popDialog($dialog) {
+    var index = findEntry($dialog, '$nested');
+    $dialog.off('.dialogStack').remove();
+    if (index === -1) {
+      return;
+    }
+    var entry = stack.splice(index, 1)[0];
+    entry.$element.off('dialogbeforeclose.dialogStack').attr('id', entry.id);
+    if (entry.focused && $.contains(document, entry.focused)) {
+      $(entry.focused).trigger('focus');
+    }
+    else {
+      entry.$element.dialog('widget').trigger('focus');
+    }
+  }
+
   Drupal.behaviors.dialog = {
     attach: function (context, settings) {
       var $context = $(context);
@@ -72,11 +157,19 @@
   /**
    * Command to open a dialog.
    */
-  Drupal.AjaxCommands.prototype.openDialog = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('openDialog', function (ajax, response, status) {
     if (!response.selector) {
       return false;
     }
+    response.dialogOptions = response.dialogOptions || {};
     var $dialog = $(response.selector);
+    // Open a modal from within an open modal in a nested dialog, unless the
+    // stack option is false.
+    var nested = response.dialogOptions.modal && response.dialogOptions.stack !== false && $dialog.is('.ui-dialog-content') && $dialog.dialog('isOpen');
+    if (nested) {
+      pushDialog($dialog);
+      $dialog = $();
+    }
     if (!$dialog.length) {
       // Create the element if needed.
       $dialog = $('<div id="' + response.selector.replace(/^#/, '') + '"/>').appendTo('body');
@@ -104,25 +197,47 @@
     });
 
     // Open the dialog itself.
-    response.dialogOptions = response.dialogOptions || {};
     var dialog = Drupal.dialog($dialog, response.dialogOptions);
     if (response.dialogOptions.modal) {
       dialog.showModal();
+      // Keep the tabbing within the dialog until it is closed.
+      var tabbingContext = Drupal.tabbingManager.constrain($dialog.dialog('widget'));
+      $dialog.one('dialogclose', function () {
+        tabbingContext.release();
+      });
     }
     else {
       dialog.show();
     }
 
+    if (nested) {
+      // Place the nested dialog and its overlay above the covered dialogs.
+      var widget = $dialog.data('ui-dialog');
+      var zIndex = (parseInt(widget.uiDialog.css('z-index'), 10) || 1260) + stack.length * 2;
+      widget.uiDialog.css('z-index', zIndex);
+      if (widget.overlay) {
+        widget.overlay.css('z-index', zIndex - 1);
+      }
+      stack[stack.length - 1].$nested = $dialog;
+      // Return to the covered dialog however the nested one is closed.
+      $dialog.on('dialogclose.dialogStack', function () {
+        popDialog($dialog);
+      });
+    }
+
     // Add the standard Drupal class for buttons for style consistency.
     $dialog.parent().find('.ui-dialog-buttonset').addClass('form-actions');
-  };
+  }, { selector: 'string', data: '?string', settings: '?object', dialogOptions: '?object' });
 
   /**
    * Command to close a dialog.
    *
-   * If no selector is given, it defaults to trying to close the modal.
+   * If no selector is given, it defaults to trying to close the modal. Closing
+   * a nested modal dialog returns to the dialog it covered, and always removes
+   * the element of the nested dialog. Closing a covered dialog closes the
+   * dialogs above it first.
    */
-  Drupal.AjaxCommands.prototype.closeDialog = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('closeDialog', function (ajax, response, status) {
     var $dialog = $(response.selector);
     if ($dialog.length) {
       Drupal.dialog($dialog).close();
@@ -133,19 +248,19 @@
 
     // Unbind dialogButtonsChange
     $dialog.off('dialogButtonsChange');
-  };
+  }, { selector: '?string', persist: '?boolean' });
 
   /**
    * Command to set a dialog property.
    *
    * jQuery UI specific way of setting dialog options.
    */
-  Drupal.AjaxCommands.prototype.setDialogOption = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('setDialogOption', function (ajax, response, status) {
     var $dialog = $(response.selector);
     if ($dialog.length) {
       $dialog.dialog('option', response.optionName, response.optionValue);
     }
-  };
+  }, { selector: 'string', optionName: 'string' });
 
   /**
    * Binds a listener on dialog creation to handle the cancel link.
@@ -8,6 +8,9 @@
 
 "use strict";
 
+// The number of prompt dialogs, to give their inputs unique IDs.
+var promptCount = 0;
+
 drupalSettings.dialog = {
   autoOpen: true,
   dialogClass: '',
@@ -58,4 +61,195 @@ Drupal.dialog = function (element, options) {
   return dialog;
 };
 
+/**
+ * Opens a modal dialog asking the user to choose between buttons.
+ *
+ * @param $content
+ *   The content of the dialog.
+ * @param options
+ *   The options of Drupal.dialog.confirm().
+ * @param getValue
+ *   (optional) A function returning the value to resolve the promise with,
+ *   given the value of the chosen button.
+ *
+ * @return
+ *   A promise resolved with the value of the chosen button when the dialog is
+ *   closed, or with options.escapeValue if it is closed without a choice. Both
+ *   are passed through getValue.
+ */
+function openChoiceDialog($content, options, getValue) {
+  var deferred = $.Deferred();
+  // Return the focus to the element that opened the dialog.
+  var opener = document.activeElement;
+  var result;
+  var chosen = false;
+  var tabbingContext = null;
+  var defaultIndex = 0;
+  var dialog;
+
+  var buttons = $.map(options.buttons, function (button, index) {
+    var classes = ['button'];
+    if (button.value === options.defaultValue) {
+      classes.push('button--primary');
+      defaultIndex = index;
+    }
+    if (button.destructive) {
+      classes.push('button--danger');
+    }
+    return {
+      text: button.text,
+      'class': classes.join(' '),
+      click: function () {
+        result = getValue ? getValue(button.value) : button.value;
+        chosen = true;
+        dialog.close(result);
+      }
+    };
+  });
+
+  // Choose the default button with the Enter key in textfields.
+  $content.on('keydown', 'input[type="text"]', function (event) {
+    if (event.keyCode === 13) {
+      event.preventDefault();
+      $content.closest('.ui-dialog').find('.ui-dialog-buttonpane button').eq(defaultIndex).trigger('click');
+    }
+  });
+
+  dialog = Drupal.dialog($content, {
+    title: options.title,
+    dialogClass: 'dialog-choice ' + (options.dialogClass || ''),
+    resizable: false,
+    buttons: buttons,
+    closeOnEscape: options.dismissible !== false,
+    open: function () {
+      var $widget = $(this).closest('.ui-dialog');
+      // Force a choice if the dialog cannot be dismissed.
+      if (options.dismissible === false) {
+        $widget.find('.ui-dialog-titlebar-close').remove();
+      }
+      if (!$content.find(':tabbable').length) {
+        $widget.find('.ui-dialog-buttonpane button').eq(defaultIndex).trigger('focus');
+      }
+      if (Drupal.tabbingManager) {
+        tabbingContext = Drupal.tabbingManager.constrain($widget);
+      }
+    },
+    close: function (event) {
+      if (tabbingContext) {
+        tabbingContext.release();
+      }
+      Drupal.detachBehaviors(event.target, null, 'unload');
+      $(event.target).remove();
+      if (opener && $.contains(document, opener)) {
+        $(opener).trigger('focus');
+      }
+      if (!chosen) {
+        result = getValue ? getValue(options.escapeValue) : options.escapeValue;
+      }
+      deferred.resolve(result);
+    }
+  });
+  dialog.showModal();
+  return deferred.promise();
+}
+
+/**
+ * Asks the user to confirm an action.
+ *
+ * @code
+ *   Drupal.dialog.confirm(Drupal.t('Delete the task?'), { destructive: true })
+ *     .done(function (confirmed) {
+ *       if (confirmed) {
+ *         // Delete the task.
+ *       }
+ *     });
+ * @endcode
+ *
+ * @param message
+ *   The message, as HTML.
+ * @param options
+ *   (optional) An object with the following keys:
+ *   - title: The title of the dialog.
+ *   - confirmText: The text of the confirm button. Defaults to 'OK'.
+ *   - cancelText: The text of the cancel button. Defaults to 'Cancel'.
+ *   - destructive: Whether confirming performs a destructive action, such as
+ *     a deletion, which styles the confirm button accordingly.
+ *   - buttons: An array of buttons replacing the confirm and cancel buttons.
+ *     Each button is an object with the keys 'text', 'value' and optionally
+ *     'destructive'.
+ *   - defaultValue: The value of the button that is focused and highlighted.
+ *     Defaults to true, the value of the confirm button.
+ *   - escapeValue: The value when the dialog is closed with the Escape key or
+ *     the close button. Defaults to false, the value of the cancel button.
+ *   - dismissible: Whether the dialog can be closed without choosing a button.
+ *     Defaults to true.
+ *   - dialogClass: Additional classes of the dialog.
+ *
+ * @return
+ *   A promise resolved with the value of the chosen button.
+ */
+Drupal.dialog.confirm = function (message, options) {
+  options = $.extend({
+    confirmText: Drupal.t('OK'),
+    cancelText: Drupal.t('Cancel'),
+    destructive: false,
+    defaultValue: true,
+    escapeValue: false
+  }, options);
+  if (!options.buttons) {
+    options.buttons = [
+      { text: options.confirmText, value: true, destructive: options.destructive },
+      { text: options.cancelText, value: false }
+    ];
+  }
+  return openChoiceDialog($('<div></div>').html(message), options);
+};
+
+/**
+ * Asks the user to enter a value.
+ *
+ * @param message
+ *   The message, as HTML, used as the label of the textfield.
+ * @param defaultText
+ *   (optional) The initial value of the textfield.
+ * @param options
+ *   (optional) The options of Drupal.dialog.confirm().
+ *
+ * @return
+ *   A promise resolved with the entered value, or with null if the user
+ *   cancelled, that is chose a button with the value false or the escape
+ *   value.
+ */
+Drupal.dialog.prompt = function (message, defaultText, options) {
+  options = $.extend({
+    confirmText: Drupal.t('OK'),
+    cancelText: Drupal.t('Cancel'),
+    defaultValue: true,
+    escapeValue: null
+  }, options);
+  options.buttons = options.buttons || [
+    { text: options.confirmText, value: true },
+    { text: options.cancelText, value: false }
+  ];
+  var $content = $(Drupal.theme('dialogPrompt', message));
+  var $input = $content.find('input').val(defaultText || '');
+  return openChoiceDialog($content, options, function (value) {
+    return value === false || value === options.escapeValue ? null : $input.val();
+  });
+};
+
+/**
+ * Theme function for the content of a prompt dialog.
+ *
+ * @param message
+ *   The message, as HTML.
+ *
+ * @return
+ *   The HTML for the content, with a text input.
+ */
+Drupal.theme.dialogPrompt = function (message) {
+  var id = 'dialog-prompt-' + (++promptCount);
+  return '<div class="form-item"><label for="' + id + '">' + message + '</label><input type="text" id="' + id + '" class="form-text" /></div>';
+};
+
 })(jQuery, Drupal, drupalSettings);
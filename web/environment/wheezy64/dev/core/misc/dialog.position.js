@@ -2,7 +2,9 @@
 
   "use strict";
 
-  // autoResize option will turn off resizable and draggable.
+  // autoResize option will turn off resizable and draggable. The offCanvas
+  // option, 'left' or 'right', displays the dialog as a tray along that edge of
+  // the viewport instead.
   drupalSettings.dialog = $.extend({ autoResize: true, maxHeight: '95%' }, drupalSettings.dialog);
 
   /**
@@ -58,8 +60,81 @@
     return options;
   }
 
+  /**
+   * Places an off-canvas dialog along its edge of the viewport.
+   *
+   * The dialog spans the height of the viewport between the top and bottom
+   * offsets, and the page is padded so that its content reflows beside it.
+   */
+  function resetOffCanvas ($element, edge, offsets) {
+    var $widget = $element.dialog('widget');
+    var height = $(window).height() - offsets.top - offsets.bottom;
+    // Let jQuery UI size the content to the height of the tray, so that it
+    // scrolls.
+    $element.dialog('option', 'height', height);
+    $widget.css({
+      position: 'fixed',
+      top: offsets.top + 'px',
+      height: height + 'px',
+      left: edge === 'left' ? 0 : 'auto',
+      right: edge === 'right' ? 0 : 'auto'
+    });
+    $('body').css('padding-' + edge, offsets[edge] + 'px');
+    $element.trigger('dialogContentResize');
+  }
+
+  /**
+   * Turns a dialog into a tray along the left or right edge of the viewport.
+   *
+   * The dialog registers itself with Drupal.displace() through the
+   * data-offset-left or data-offset-right attribute.
+   */
+  function setUpOffCanvas ($element, settings) {
+    var edge = settings.offCanvas === 'left' ? 'left' : 'right';
+    var $widget = $element.dialog('widget');
+    var body = document.body;
+    var paddingProperty = edge === 'left' ? 'paddingLeft' : 'paddingRight';
+    // Other scripts may pad the page as well, so restore the previous padding
+    // and options when the dialog is closed.
+    var previousPadding = body.style[paddingProperty];
+    var previousOptions = {};
+    $.each(['resizable', 'draggable', 'maxHeight', 'height'], function (index, option) {
+      previousOptions[option] = $element.dialog('option', option);
+    });
+    // The page is resized through Drupal.displace(), which also reacts to
+    // resizing the window.
+    var reset = function (event, offsets) {
+      resetOffCanvas($element, edge, offsets);
+    };
+    // The tray spans the height of the viewport, so percentages of it do not
+    // apply.
+    $element.dialog('option', { resizable: false, draggable: false, maxHeight: false });
+    $widget
+      .addClass('ui-dialog-off-canvas ui-dialog-off-canvas--' + edge)
+      .attr('data-offset-' + edge, '');
+    // Move the dialog to its edge before Drupal.displace() measures it.
+    resetOffCanvas($element, edge, displace.offsets);
+    $(document).on('drupalViewportOffsetChange.dialogOffCanvas', reset);
+    $element.one('dialogclose', function () {
+      $(document).off('drupalViewportOffsetChange', reset);
+      $widget
+        .removeClass('ui-dialog-off-canvas ui-dialog-off-canvas--' + edge)
+        .removeAttr('data-offset-' + edge)
+        .css({ position: '', top: '', height: '', left: '', right: '' });
+      $element.dialog('option', previousOptions);
+      body.style[paddingProperty] = previousPadding;
+      displace();
+    });
+    // Let the page reflow around the dialog.
+    displace();
+  }
+
   $(window).on({
     'dialog:aftercreate': function (event, dialog, $element, settings) {
+      if (settings.offCanvas) {
+        setUpOffCanvas($element, settings);
+        return;
+      }
       var autoResize = debounce(resetSize, 20);
       var eventData = { settings: settings, $element: $element };
       if (settings.autoResize === true || settings.autoResize === 'true') {
@@ -70,10 +145,18 @@
           .on('resize.dialogResize scroll.dialogResize', eventData, autoResize)
           .trigger('resize.dialogResize');
         $(document).on('drupalViewportOffsetChange', eventData, autoResize);
+        // Keep the handler to only unbind this dialog's, as dialogs may be
+        // stacked.
+        $element.data('dialogAutoResize', autoResize);
       }
     },
     'dialog:beforeclose': function (event, dialog, $element) {
-      $(window).off('.dialogResize');
+      var autoResize = $element.data('dialogAutoResize');
+      if (autoResize) {
+        $(window).off('.dialogResize', autoResize);
+        $(document).off('drupalViewportOffsetChange', autoResize);
+        $element.removeData('dialogAutoResize');
+      }
     }
   });
 
@@ -0,0 +1,129 @@
+/**
+ * @file
+ * Displays status, warning and error messages from JavaScript.
+ *
+ * Messages use the same markup as the status messages rendered on the server
+ * and are announced to assistive technology with Drupal.announce().
+ * @code
+ *   var id = Drupal.message.add(Drupal.t('The task was assigned.'));
+ *   Drupal.message.remove(id);
+ * @endcode
+ */
+
+(function ($, Drupal) {
+
+"use strict";
+
+var counter = 0;
+
+/**
+ * Returns the element messages are rendered into.
+ *
+ * A theme may place an element with the data-drupal-messages attribute where
+ * messages should appear. Otherwise one is created in front of the messages
+ * rendered by the server, or at the top of the main content.
+ */
+function getWrapper() {
+  var $wrapper = $('[data-drupal-messages]').first();
+  if (!$wrapper.length) {
+    var $messages = $('.messages[role="contentinfo"]').first();
+    var $main = $('[role="main"], #content').first();
+    $wrapper = $('<div data-drupal-messages></div>');
+    if ($messages.length) {
+      $wrapper.insertBefore($messages);
+    }
+    else {
+      $wrapper.prependTo($main.length ? $main : 'body');
+    }
+  }
+  return $wrapper;
+}
+
+Drupal.message = {
+
+  /**
+   * Displays a message.
+   *
+   * @param String message
+   *   The message to display, as HTML. Pass plain text through Drupal.t() or
+   *   Drupal.checkPlain() first.
+   * @param String type
+   *   (optional) The type of the message: 'status' (default), 'warning' or
+   *   'error'.
+   * @param Object options
+   *   (optional) An object with the following keys:
+   *   - wrapper: The element to render the message into. Defaults to the
+   *     element holding the page messages.
+   *   - announce: Whether to announce the message. Defaults to TRUE.
+   *
+   * @return String
+   *   The ID of the message, to be passed to Drupal.message.remove().
+   */
+  add: function (message, type, options) {
+    type = type || 'status';
+    options = $.extend({ announce: true }, options);
+    var id = 'drupal-message-' + (++counter);
+    var $wrapper = options.wrapper ? $(options.wrapper) : getWrapper();
+
+    $(Drupal.theme('message', message, type)).attr('data-drupal-message-id', id).appendTo($wrapper);
+
+    if (options.announce) {
+      // Errors interrupt the user, other messages wait for a pause.
+      Drupal.announce($('<div></div>').html(message).text(), type === 'error' ? 'assertive' : 'polite');
+    }
+    return id;
+  },
+
+  /**
+   * Removes a message.
+   *
+   * @param String id
+   *   The ID returned by Drupal.message.add().
+   */
+  remove: function (id) {
+    $('[data-drupal-message-id="' + id + '"]').remove();
+  },
+
+  /**
+   * Removes all messages added through Drupal.message.add().
+   *
+   * @param String type
+   *   (optional) Only remove messages of this type.
+   */
+  clear: function (type) {
+    var selector = '[data-drupal-message-id]';
+    if (type) {
+      selector += '.messages--' + type;
+    }
+    $(selector).remove();
+  }
+};
+
+/**
+ * Theme function for a message.
+ *
+ * Mirrors status-messages.html.twig.
+ *
+ * @param String message
+ *   The message, as HTML.
+ * @param String type
+ *   The type of the message: 'status', 'warning' or 'error'.
+ *
+ * @return String
+ *   The HTML for the message.
+ */
+Drupal.theme.message = function (message, type) {
+  var headings = {
+    status: Drupal.t('Status message'),
+    error: Drupal.t('Error message'),
+    warning: Drupal.t('Warning message')
+  };
+  var heading = headings[type] || '';
+  var content = '<h2 class="visually-hidden">' + heading + '</h2>' + message;
+  if (type === 'error') {
+    content = '<div role="alert">' + content + '</div>';
+  }
+  return '<div class="messages messages--' + type + '" role="contentinfo" aria-label="' + heading + '">' + content + '</div>';
+};
+
+})(jQuery, Drupal);
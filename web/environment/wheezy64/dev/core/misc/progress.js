@@ -45,11 +45,40 @@ $.extend(Drupal.ProgressBar.prototype, {
 
   /**
    * Start monitoring progress via Ajax.
+   *
+   * @param uri
+   *   The URL to poll for the progress, which returns the percentage, message
+   *   and label as JSON.
+   * @param delay
+   *   The number of milliseconds to wait between requests, or an object with
+   *   the following keys:
+   *   - delay: The number of milliseconds to wait between requests. Defaults
+   *     to 500.
+   *   - maxDelay: The maximum number of milliseconds to wait between requests.
+   *     While the progress does not change, the delay is multiplied by the
+   *     backoff up to this maximum, and it is reset once the progress changes.
+   *     Defaults to the delay, which keeps the delay constant.
+   *   - backoff: The factor to multiply the delay by. Defaults to 1.5.
+   *   - eventSource: The URL of a stream of Server-Sent Events to receive the
+   *     progress from instead of polling. Each event holds the same JSON as
+   *     the responses to polling. If the browser does not support
+   *     EventSource, or the stream fails before its first event, the progress
+   *     is polled instead.
    */
   startMonitoring: function (uri, delay) {
-    this.delay = delay;
+    var options = $.extend({ delay: 500, backoff: 1.5 }, typeof delay === 'object' ? delay : { delay: delay });
     this.uri = uri;
-    this.sendPing();
+    this.delay = this.minDelay = options.delay;
+    this.maxDelay = Math.max(options.maxDelay || 0, options.delay);
+    this.backoff = options.backoff;
+    this.lastProgress = null;
+    this.session = (this.session || 0) + 1;
+    if (options.eventSource && window.EventSource) {
+      this.openEventSource(options.eventSource);
+    }
+    else {
+      this.sendPing();
+    }
   },
 
   /**
@@ -57,8 +86,70 @@ $.extend(Drupal.ProgressBar.prototype, {
    */
   stopMonitoring: function () {
     clearTimeout(this.timer);
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
     // This allows monitoring to be stopped from within the callback.
     this.uri = null;
+    // Ignore the response to a request that is still pending.
+    this.session = (this.session || 0) + 1;
+  },
+
+  /**
+   * Receives the progress from a stream of Server-Sent Events.
+   *
+   * The browser reconnects to the stream when the server closes it, so that
+   * the server can end long running streams at any time.
+   */
+  openEventSource: function (url) {
+    var pb = this;
+    var received = false;
+    this.eventSource = new window.EventSource(url);
+    this.eventSource.onmessage = function (event) {
+      received = true;
+      var progress;
+      try {
+        progress = JSON.parse(event.data);
+      }
+      catch (e) {
+        pb.stopMonitoring();
+        pb.displayError('<pre>' + Drupal.checkPlain(event.data) + '</pre>');
+        return;
+      }
+      pb.handleProgress(progress);
+    };
+    this.eventSource.onerror = function () {
+      // Fall back to polling if the stream is not available at all, or the
+      // browser gave up reconnecting to it.
+      if (pb.eventSource && (!received || pb.eventSource.readyState === window.EventSource.CLOSED)) {
+        pb.eventSource.close();
+        pb.eventSource = null;
+        pb.sendPing();
+      }
+    };
+  },
+
+  /**
+   * Displays progress data received from the server.
+   *
+   * @return
+   *   false if the server reported an error, true otherwise.
+   */
+  handleProgress: function (progress) {
+    // Display errors.
+    if (progress.status === 0) {
+      this.stopMonitoring();
+      this.displayError(progress.data);
+      return false;
+    }
+    // Poll less often while the progress does not change.
+    var current = [progress.percentage, progress.message, progress.label].join('\n');
+    this.delay = current === this.lastProgress ? Math.min(this.delay * this.backoff, this.maxDelay) : this.minDelay;
+    this.lastProgress = current;
+    // Update display.
+    this.setProgress(progress.percentage, progress.message, progress.label);
+    return true;
   },
 
   /**
@@ -70,25 +161,27 @@ $.extend(Drupal.ProgressBar.prototype, {
     }
     if (this.uri) {
       var pb = this;
+      var session = this.session;
       // When doing a post request, you need non-null data. Otherwise a
       // HTTP 411 or HTTP 406 (with Apache mod_security) error may result.
-      $.ajax({
+      this.request = $.ajax({
         type: this.method,
         url: this.uri,
         data: '',
         dataType: 'json',
         success: function (progress) {
-          // Display errors.
-          if (progress.status === 0) {
-            pb.displayError(progress.data);
+          if (session !== pb.session) {
             return;
           }
-          // Update display.
-          pb.setProgress(progress.percentage, progress.message, progress.label);
-          // Schedule next timer.
-          pb.timer = setTimeout(function () { pb.sendPing(); }, pb.delay);
+          // Schedule next timer, unless monitoring was stopped meanwhile.
+          if (pb.handleProgress(progress) && pb.uri) {
+            pb.timer = setTimeout(function () { pb.sendPing(); }, pb.delay);
+          }
         },
         error: function (xmlhttp) {
+          if (session !== pb.session) {
+            return;
+          }
           var e = new Drupal.AjaxError(xmlhttp, pb.uri);
           pb.displayError('<pre>' + e.message + '</pre>');
         }
@@ -100,8 +193,8 @@ $.extend(Drupal.ProgressBar.prototype, {
    * Display errors on the page.
    */
   displayError: function (string) {
-    var error = $('<div class="messages messages--error"></div>').html(string);
-    $(this.element).before(error).hide();
+    Drupal.message.add(string, 'error');
+    $(this.element).hide();
 
     if (this.errorCallback) {
       this.errorCallback(this);
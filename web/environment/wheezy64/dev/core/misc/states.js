@@ -10,9 +10,20 @@
  */
 var states = Drupal.states = {
   // An array of functions that should be postponed.
-  postponed: []
+  postponed: [],
+  // All dependents on the page.
+  dependents: []
 };
 
+/**
+ * Forgets about dependents that have been removed from the page.
+ */
+function pruneDependents() {
+  states.dependents = $.grep(states.dependents, function (dependent) {
+    return $.contains(document.documentElement, dependent.element.get(0));
+  });
+}
+
 /**
  * Attaches the states.
  */
@@ -20,6 +31,8 @@ Drupal.behaviors.states = {
   attach: function (context, settings) {
     var $states = $(context).find('[data-drupal-states]');
     var config, state;
+    // Elements replaced through AJAX leave their dependents behind.
+    pruneDependents();
     for (var i = 0, il = $states.length; i < il; i += 1) {
       config = JSON.parse($states[i].getAttribute('data-drupal-states'));
       for (state in config) {
@@ -33,6 +46,12 @@ Drupal.behaviors.states = {
       }
     }
 
+    // Checking the dependencies of all dependents on the page is only worth
+    // its cost while debugging.
+    if ($states.length && settings && settings.ajaxDebug) {
+      states.checkGraph(states.buildGraph());
+    }
+
     // Execute all postponed functions now.
     while (states.postponed.length) {
       (states.postponed.shift())();
@@ -53,6 +72,7 @@ Drupal.behaviors.states = {
  */
 states.Dependent = function (args) {
   $.extend(this, { values: {}, oldValue: null }, args);
+  states.dependents.push(this);
 
   this.dependees = this.getDependees();
   for (var selector in this.dependees) {
@@ -62,10 +82,171 @@ states.Dependent = function (args) {
   }
 };
 
+/**
+ * Describes an element for debugging messages.
+ *
+ * @param element
+ *   A DOM element or a jQuery object.
+ */
+function describe(element) {
+  var $element = $(element).first();
+  var id = $element.attr('id');
+  var name = $element.attr('name');
+  return $element.prop('nodeName').toLowerCase() + (id ? '#' + id : (name ? '[name="' + name + '"]' : ''));
+}
+
+/**
+ * Builds the graph of dependencies between the elements on the page.
+ *
+ * @return
+ *   An object with the following keys:
+ *   - nodes: An array of the DOM elements that are dependents or dependees.
+ *   - edges: An array of the indexes of the elements in nodes that each element
+ *     depends on, keyed by the index of the element.
+ *   - missing: An array of objects with the dependent and the selector of each
+ *     dependee that does not match any element.
+ */
+states.buildGraph = function () {
+  var graph = { nodes: [], edges: [], missing: [] };
+
+  function index(element) {
+    var i = $.inArray(element, graph.nodes);
+    if (i === -1) {
+      i = graph.nodes.push(element) - 1;
+      graph.edges[i] = [];
+    }
+    return i;
+  }
+
+  pruneDependents();
+
+  $.each(states.dependents, function (_, dependent) {
+    var from = index(dependent.element.get(0));
+    $.each(dependent.dependees, function (selector) {
+      var $dependees = $(selector);
+      if (!$dependees.length) {
+        graph.missing.push({ dependent: dependent, selector: selector });
+      }
+      $dependees.each(function () {
+        var to = index(this);
+        if ($.inArray(to, graph.edges[from]) === -1) {
+          graph.edges[from].push(to);
+        }
+      });
+    });
+  });
+  return graph;
+};
+
+/**
+ * Finds the cycles in a dependency graph.
+ *
+ * @param graph
+ *   A graph as returned by states.buildGraph().
+ *
+ * @return
+ *   An array of cycles, each being an array of the DOM elements in it.
+ */
+states.findCycles = function (graph) {
+  var cycles = [];
+  // Nodes are unvisited (undefined), on the current path (1) or done (2).
+  var status = [];
+  var path = [];
+
+  function visit(i) {
+    status[i] = 1;
+    path.push(i);
+    $.each(graph.edges[i], function (_, j) {
+      if (status[j] === 1) {
+        cycles.push($.map(path.slice($.inArray(j, path)), function (k) {
+          return graph.nodes[k];
+        }));
+      }
+      else if (!status[j]) {
+        visit(j);
+      }
+    });
+    path.pop();
+    status[i] = 2;
+  }
+
+  for (var i = 0; i < graph.nodes.length; i++) {
+    if (!status[i]) {
+      visit(i);
+    }
+  }
+  return cycles;
+};
+
+/**
+ * Warns about dependees that do not exist and dependencies in a cycle.
+ *
+ * This is done when attaching states while drupalSettings.ajaxDebug is set,
+ * and by Drupal.states.debug().
+ *
+ * @param graph
+ *   A graph as returned by states.buildGraph().
+ */
+states.checkGraph = function (graph) {
+  if (!window.console || !window.console.warn) {
+    return;
+  }
+  $.each(graph.missing, function (_, missing) {
+    window.console.warn('Drupal.states: ' + describe(missing.dependent.element) + ' depends on "' + missing.selector + '", which does not match any element.');
+  });
+  $.each(states.findCycles(graph), function (_, cycle) {
+    window.console.warn('Drupal.states: Circular dependency: ' + $.map(cycle.concat(cycle[0]), describe).join(' depends on ') + '.');
+  });
+};
+
+/**
+ * Reports each dependent, its constraints and their current evaluation.
+ *
+ * Call Drupal.states.debug() from the console of the browser.
+ *
+ * @param overlay
+ *   (optional) Whether to outline the dependents on the page as well, green if
+ *   their constraints are satisfied and red otherwise. Pass false to remove
+ *   the outlines again.
+ *
+ * @return
+ *   An array of objects describing each dependent.
+ */
+states.debug = function (overlay) {
+  var graph = states.buildGraph();
+  var report = $.map(states.dependents, function (dependent) {
+    var result = dependent.verifyConstraints(dependent.constraints);
+    return {
+      element: describe(dependent.element),
+      state: dependent.state.pristine,
+      constraints: JSON.stringify(dependent.constraints),
+      values: JSON.stringify(dependent.values),
+      result: result
+    };
+  });
+
+  $('.states-debug').removeClass('states-debug').css('outline', '').removeAttr('data-drupal-states-debug');
+  if (overlay) {
+    $.each(states.dependents, function (i, dependent) {
+      dependent.element.addClass('states-debug')
+        .css('outline', '2px dashed ' + (report[i].result ? 'green' : 'red'))
+        .attr('data-drupal-states-debug', report[i].state + ': ' + report[i].result);
+    });
+  }
+
+  if (window.console) {
+    (window.console.table || window.console.log).call(window.console, report);
+  }
+  states.checkGraph(graph);
+  return report;
+};
+
 /**
  * Comparison functions for comparing the value of an element with the
  * specification from the dependency settings. If the object type can't be
  * found in this list, the === operator is used by default.
+ *
+ * Objects are compared with the operators in states.Dependent.operators.
  */
 states.Dependent.comparisons = {
   'RegExp': function (reference, value) {
@@ -81,6 +262,91 @@ states.Dependent.comparisons = {
     // numeric keys in the form's #states array fail to match string values
     // returned from jQuery's val().
     return (typeof value === 'string') ? compare(reference.toString(), value) : compare(reference, value);
+  },
+  'Object': function (reference, value) {
+    // The keys of "reference" are operator names and its values their
+    // arguments. All operators have to be satisfied.
+    var result;
+    for (var operator in reference) {
+      if (reference.hasOwnProperty(operator)) {
+        if (!(operator in states.Dependent.operators)) {
+          return false;
+        }
+        // Ignore undefined values, like compare() does.
+        if (typeof value === 'undefined') {
+          return;
+        }
+        result = ternary(result, states.Dependent.operators[operator](reference[operator], value));
+      }
+    }
+    return result;
+  }
+};
+
+/**
+ * Converts a value to a number, or NaN if it is empty or no number.
+ */
+function toNumber(value) {
+  return (typeof value === 'string' && value !== '') || typeof value === 'number' ? Number(value) : NaN;
+}
+
+/**
+ * Operators for comparing the value of an element with an argument.
+ *
+ * Operators are used by specifying an object as the value of a remote
+ * condition, whose keys are operator names and whose values are the arguments:
+ * @code
+ *   ':input[name="due"]': { 'value': { 'before': '2014-01-01' } }
+ * @endcode
+ * Modules may add operators to this list. Each operator receives the argument
+ * and the value of the element, and returns true or false.
+ */
+states.Dependent.operators = {
+  // Whether the value is one of the values in a list. If the value is a list,
+  // e.g. of a multiple select, all of its values have to be in the list.
+  'in': function (list, value) {
+    var values = value === null || value === false ? [] : $.makeArray(value);
+    list = $.map(list, String);
+    // An empty value, like an empty multiple select, is in no list.
+    return values.length > 0 && $.grep(values, function (item) {
+      return $.inArray(String(item), list) === -1;
+    }).length === 0;
+  },
+  // Whether a list, e.g. of a multiple select, contains a value, or a string
+  // contains a substring.
+  'contains': function (item, value) {
+    if ($.isArray(value)) {
+      return $.inArray(String(item), $.map(value, String)) !== -1;
+    }
+    return typeof value === 'string' && value.indexOf(item) !== -1;
+  },
+  'regex': function (pattern, value) {
+    return typeof value === 'string' && new RegExp(pattern).test(value);
+  },
+  'gt': function (number, value) {
+    return toNumber(value) > number;
+  },
+  'gte': function (number, value) {
+    return toNumber(value) >= number;
+  },
+  'lt': function (number, value) {
+    return toNumber(value) < number;
+  },
+  'lte': function (number, value) {
+    return toNumber(value) <= number;
+  },
+  // Whether a number is between a minimum and a maximum, both inclusive.
+  'between': function (range, value) {
+    value = toNumber(value);
+    return value >= range[0] && value <= range[1];
+  },
+  // Dates are compared in any format that Date.parse() understands, like the
+  // 'YYYY-MM-DD' value of date inputs.
+  'before': function (date, value) {
+    return Date.parse(value) < Date.parse(date);
+  },
+  'after': function (date, value) {
+    return Date.parse(value) > Date.parse(date);
   }
 };
 
@@ -194,6 +460,10 @@ states.Dependent.prototype = {
   /**
    * Evaluates child constraints to determine if a constraint is satisfied.
    *
+   * An object of constraints is satisfied if all of them are (AND), an array if
+   * any of them is (OR). If the array contains the string 'xor', exactly one of
+   * them has to be satisfied (XOR).
+   *
    * @param constraints
    *   A constraint object or an array of constraints.
    * @param selector
@@ -364,11 +634,35 @@ states.Trigger.prototype = {
   }
 };
 
+/**
+ * Returns the names of the files chosen in file inputs.
+ */
+function getFileNames($inputs) {
+  var names = [];
+  $inputs.filter('input[type="file"]').each(function () {
+    if (this.files) {
+      for (var i = 0; i < this.files.length; i++) {
+        names.push(this.files[i].name);
+      }
+    }
+    else if (this.value) {
+      names.push(this.value);
+    }
+  });
+  return names;
+}
+
 /**
  * This list of states contains functions that are used to monitor the state
  * of an element. Whenever an element depends on the state of another element,
  * one of these trigger functions is added to the dependee so that the
  * dependent element can be updated.
+ *
+ * Modules may add states to this list. A state is either an object whose keys
+ * are the events to watch and whose values are functions returning the new
+ * value of the state, called with the dependee as a jQuery object, or a
+ * function that initializes the dependee and triggers the 'state:STATE' event
+ * itself.
  */
 states.Trigger.states = {
   // 'empty' describes the state to be monitored
@@ -422,6 +716,31 @@ states.Trigger.states = {
     'collapsed': function(e) {
       return (typeof e !== 'undefined' && 'value' in e) ? e.value : !this.is('[open]');
     }
+  },
+
+  // The number of checked checkboxes or radio buttons, selected options or
+  // chosen files.
+  count: {
+    'change': function () {
+      if (this.is('select')) {
+        return this.find('option:selected').length;
+      }
+      if (this.is('input[type="file"]')) {
+        return getFileNames(this).length;
+      }
+      return this.filter(':checked').length;
+    }
+  },
+
+  // The lowercase extensions of the chosen files, e.g. to use with the 'in'
+  // operator.
+  extension: {
+    'change': function () {
+      return $.map(getFileNames(this), function (name) {
+        var pos = name.lastIndexOf('.');
+        return pos === -1 ? '' : name.slice(pos + 1).toLowerCase();
+      });
+    }
   }
 };
 
@@ -8,6 +8,36 @@
  */
 var showWeight = JSON.parse(localStorage.getItem('Drupal.tableDrag.showWeight'));
 
+/**
+ * Returns the text of the first cell of a row, without the tableDrag markup.
+ */
+function getRowTitle(row) {
+  return $.trim($(row).find('td:first').clone()
+    .find('.tabledrag-handle, .indentation, .tabledrag-changed, .visually-hidden').remove().end()
+    .text().replace(/\s+/g, ' '));
+}
+
+/**
+ * Returns the height of a table row.
+ */
+function getRowHeight(row) {
+  // Because Safari does not report offsetHeight on table rows, but does on
+  // table cells, grab the first cell of the row and use that instead.
+  // http://jacob.peargrove.com/blog/2006/technical/table-row-offsettop-bug-in-safari.
+  return row.offsetHeight || (row.cells[0] ? row.cells[0].offsetHeight : 0);
+}
+
+/**
+ * Returns the settings of the first subgroup of a settings group.
+ */
+function getFirstSettings(groupSettings) {
+  for (var delta in groupSettings) {
+    if (groupSettings.hasOwnProperty(delta)) {
+      return groupSettings[delta];
+    }
+  }
+}
+
 /**
  * Drag and drop table rows with field manipulation.
  *
@@ -18,6 +48,15 @@ var showWeight = JSON.parse(localStorage.getItem('Drupal.tableDrag.showWeight'))
  * Created tableDrag instances may be modified with custom behaviors by
  * overriding the .onDrag, .onDrop, .row.onSwap, and .row.onIndent methods.
  * See blocks.js for an example of adding additional functionality to tableDrag.
+ *
+ * Several rows can be selected by ctrl- or shift-clicking them, or through the
+ * checkboxes of Drupal.tableSelect, and are then dragged together.
+ *
+ * Rows can be dragged between tables that have the same value for the
+ * data-drupal-tabledrag-link attribute.
+ *
+ * Each move can be undone and redone with the buttons above the table, or with
+ * Ctrl+Z and Ctrl+Y (Ctrl+Shift+Z) while the focus is within the table.
  */
 Drupal.behaviors.tableDrag = {
   attach: function (context, settings) {
@@ -56,10 +95,18 @@ Drupal.tableDrag = function (table, tableSettings) {
   this.dragObject = null; // Used to hold information about a current drag operation.
   this.rowObject = null; // Provides operations for row manipulation.
   this.oldRowElement = null; // Remember the previous element.
+  this.lastSelectedRow = null; // The row a shift-click selects a range from.
+  this.undoStack = []; // Moves that can be undone.
+  this.redoStack = []; // Moves that can be redone.
+  this.rowGeometry = null; // Cached positions of the rows during a drag.
+  this.linkedTables = null; // The tables linked to this one during a drag.
+  this.linkedTableBounds = null; // Cached positions of the linked tables.
+  this.dragFrame = null; // The animation frame processing pointer movement.
   this.oldY = 0; // Used to determine up or down direction from last mouse move.
   this.changed = false; // Whether anything in the entire table has changed.
   this.maxDepth = 0; // Maximum amount of allowed parenting.
   this.rtl = $(this.table).css('direction') === 'rtl' ? -1 : 1; // Direction of the table.
+  this.instructionsId = table.id + '--tabledrag-instructions'; // Describes the handles.
 
   // Configure the scroll settings.
   this.scrollSettings = { amount: 4, interval: 50, trigger: 70 };
@@ -103,6 +150,18 @@ Drupal.tableDrag = function (table, tableSettings) {
   // Match immediate children of the parent element to allow nesting.
   $table.find('> tr.draggable, > tbody > tr.draggable').each(function () { self.makeDraggable(this); });
 
+  // Select rows by ctrl- or shift-clicking them.
+  $table.on('click', '> tr.draggable, > tbody > tr.draggable', function (event) {
+    if ((event.ctrlKey || event.metaKey || event.shiftKey) && !$(event.target).is(':input, a, label, .tabledrag-handle *')) {
+      event.preventDefault();
+      self.selectRow(this, event.shiftKey);
+    }
+  });
+  // Keep track of the rows selected through Drupal.tableSelect.
+  $table.on('click', 'td input[type="checkbox"]', function () {
+    self.lastSelectedRow = $(this).closest('tr').get(0);
+  });
+
   // Add a link before the table for users to show or hide weight columns.
   $table.before($('<button type="button" class="link tabledrag-toggle-weight"></button>')
     .attr('title', Drupal.t('Re-order rows by numerical weight instead of dragging.'))
@@ -114,12 +173,56 @@ Drupal.tableDrag = function (table, tableSettings) {
     .parent()
   );
 
+  // Explain how to move rows with the keyboard to screen reader users.
+  $('<div class="visually-hidden"></div>')
+    .attr('id', this.instructionsId)
+    .text(this.indentEnabled ?
+      Drupal.t('Use the up and down arrow keys to move the row, and the left and right arrow keys to change its indentation. Press Escape to cancel the move.') :
+      Drupal.t('Use the up and down arrow keys to move the row. Press Escape to cancel the move.'))
+    .appendTo($table.prev('.tabledrag-toggle-weight-wrapper'));
+
+  // Add buttons to undo and redo moves, shown once a row has been moved.
+  this.$undo = $('<button type="button" class="link tabledrag-undo"></button>')
+    .text(Drupal.t('Undo move'))
+    .on('click', $.proxy(this.undo, this));
+  this.$redo = $('<button type="button" class="link tabledrag-redo"></button>')
+    .text(Drupal.t('Redo move'))
+    .on('click', $.proxy(this.redo, this));
+  $('<span class="tabledrag-history"></span>').append(this.$undo, ' ', this.$redo, ' ').hide()
+    .prependTo($table.prev('.tabledrag-toggle-weight-wrapper'));
+  this.updateHistoryButtons();
+
+  $table.on('keydown', function (event) {
+    // Leave the undo of text fields alone.
+    if (!(event.ctrlKey || event.metaKey) || $(event.target).is('input[type="text"], input[type="number"], textarea')) {
+      return;
+    }
+    var key = String.fromCharCode(event.which).toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      self.undo();
+      event.preventDefault();
+    }
+    else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      self.redo();
+      event.preventDefault();
+    }
+  });
+
   // Initialize the specified columns (for example, weight or parent columns)
   // to show or hide according to user preference. This aids accessibility
   // so that, e.g., screen reader users can choose to enter weight values and
   // manipulate form elements directly, rather than using drag-and-drop..
   self.initColumns();
 
+  // Rows may be appended to the table later, for example by a pager loading
+  // more items of a view.
+  $table.on('rowsadded', function (event, rows) {
+    $(rows).filter('tr.draggable').each(function () { self.makeDraggable(this); });
+    self.rowGeometry = null;
+    self.initColumns();
+    self.restripeTable();
+  });
+
   // Add event bindings to the document. The self variable is passed along
   // as event handlers do not have direct access to the tableDrag object.
   if (Modernizr.touch) {
@@ -131,6 +234,16 @@ Drupal.tableDrag = function (table, tableSettings) {
     $(document).on('mouseup', function (event) { return self.dropRow(event, self); });
   }
 
+  // The cached row positions are relative to the document, so they only need
+  // to be measured again when the page is resized or a container scrolls. The
+  // listener is only bound while a row is dragged by the pointer.
+  this.invalidateRowGeometry = function (event) {
+    if (event.type === 'resize' || event.target !== document) {
+      self.rowGeometry = null;
+      self.linkedTableBounds = null;
+    }
+  };
+
   // React to localStorage event showing or hiding weight columns.
   $(window).on('storage', $.proxy(function (e) {
     // Only react to 'Drupal.tableDrag.showWeight' value change.
@@ -303,6 +416,372 @@ Drupal.tableDrag.prototype.rowSettings = function (group, row) {
   }
 };
 
+/**
+ * Returns the tableDrag instances of the tables linked to this one.
+ *
+ * @return
+ *   An array of Drupal.tableDrag objects whose rows can be exchanged with this
+ *   table, not including this one.
+ */
+Drupal.tableDrag.prototype.getLinkedTables = function () {
+  var link = this.$table.attr('data-drupal-tabledrag-link');
+  var linked = [];
+  if (link) {
+    for (var base in Drupal.tableDrag) {
+      if (Drupal.tableDrag.hasOwnProperty(base)) {
+        var tableDrag = Drupal.tableDrag[base];
+        if (tableDrag instanceof Drupal.tableDrag && tableDrag !== this && tableDrag.$table.attr('data-drupal-tabledrag-link') === link && $.contains(document.documentElement, tableDrag.table)) {
+          linked.push(tableDrag);
+        }
+      }
+    }
+  }
+  return linked;
+};
+
+/**
+ * Returns the tableDrag instance of this table or a linked table.
+ *
+ * @param table
+ *   DOM object for the table.
+ */
+Drupal.tableDrag.prototype.getTableDrag = function (table) {
+  var tables = [this].concat(this.linkedTables || this.getLinkedTables());
+  for (var i = 0; i < tables.length; i++) {
+    if (tables[i].table === table) {
+      return tables[i];
+    }
+  }
+  return this;
+};
+
+/**
+ * Prepares the form elements of a row dragged in from a linked table.
+ *
+ * The elements of each settings group of the other table are given the class
+ * of the group of this table with the same action, so that updateFields() can
+ * rewrite their values for this table.
+ *
+ * @param row
+ *   DOM object for the row.
+ * @param source
+ *   The Drupal.tableDrag object of the table the row was dragged from.
+ */
+Drupal.tableDrag.prototype.adoptRow = function (row, source) {
+  var $row = $(row);
+  for (var group in this.tableSettings) {
+    if (this.tableSettings.hasOwnProperty(group) && !$row.find('.' + group).length) {
+      var settings = getFirstSettings(this.tableSettings[group]);
+      for (var sourceGroup in source.tableSettings) {
+        if (source.tableSettings.hasOwnProperty(sourceGroup) && getFirstSettings(source.tableSettings[sourceGroup]).action === settings.action && $row.find('.' + sourceGroup).length) {
+          // updateFields() copies the subgroup classes from the new siblings.
+          $row.find('.' + sourceGroup).removeClass(sourceGroup).addClass(group + ' ' + settings.target);
+          break;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Records the position and indentation of rows.
+ *
+ * @param rows
+ *   An array of DOM objects for the rows.
+ *
+ * @return
+ *   An array of the state of each row, to be passed to restoreState().
+ */
+Drupal.tableDrag.prototype.getRowStates = function (rows) {
+  return $.map(rows, function (row) {
+    return { row: row, tbody: row.parentNode, index: row.sectionRowIndex, indents: $(row).find('.indentation').length };
+  });
+};
+
+/**
+ * Records the value and classes of a form element before a move changes them.
+ *
+ * Only the first call for an element during a move records it.
+ *
+ * @param element
+ *   The DOM object of the form element.
+ */
+Drupal.tableDrag.prototype.recordField = function (element) {
+  var move = this.rowObject && this.rowObject.move;
+  if (move && $.data(element, 'tableDragMove') !== move) {
+    $.data(element, 'tableDragMove', move);
+    move.before.fields.push({ element: element, value: element.value, className: element.className });
+  }
+};
+
+/**
+ * Puts rows and form elements back into a state recorded during a move.
+ *
+ * @param state
+ *   An object with the keys 'rows', the states returned by getRowStates(),
+ *   and 'fields', the values and classes of form elements.
+ */
+Drupal.tableDrag.prototype.restoreState = function (state) {
+  var self = this;
+  var rows = $.map(state.rows, function (rowState) {
+    return rowState.row;
+  });
+  var tables = $.map(state.rows, function (rowState) {
+    return [rowState.tbody.parentNode, $(rowState.row).closest('table').get(0)];
+  });
+
+  // Rows that did not move keep their order, so inserting the moved rows at
+  // their recorded index, lowest first, restores the order of the table.
+  Drupal.detachBehaviors(rows, drupalSettings, 'move');
+  $(rows).detach();
+  $.each(state.rows.slice().sort(function (a, b) {
+    return a.index - b.index;
+  }), function () {
+    this.tbody.insertBefore(this.row, this.tbody.rows[this.index] || null);
+  });
+  Drupal.attachBehaviors(rows, drupalSettings);
+
+  $.each(state.rows, function () {
+    var $indentations = $(this.row).find('.indentation');
+    $indentations.slice(this.indents).remove();
+    for (var n = $indentations.length; n < this.indents; n++) {
+      $(this.row).find('td:first').prepend(Drupal.theme('tableDragIndentation'));
+    }
+  });
+
+  $.each(state.fields, function () {
+    this.element.value = this.value;
+    this.element.className = this.className;
+  });
+
+  $.each($.unique(tables), function () {
+    self.getTableDrag(this).restripeTable();
+  });
+};
+
+/**
+ * Completes the record of a move and adds it to the history.
+ *
+ * @param rowObject
+ *   The row object of the dropped rows.
+ * @param tableDrags
+ *   The Drupal.tableDrag objects of the tables the rows were moved between.
+ */
+Drupal.tableDrag.prototype.recordMove = function (rowObject, tableDrags) {
+  var move = rowObject.move;
+  move.tableDrags = tableDrags;
+  move.markedRows = rowObject.rows;
+  move.after = {
+    rows: this.getRowStates($.map(move.before.rows, function (rowState) {
+      return rowState.row;
+    })),
+    fields: []
+  };
+  // Only keep the form elements whose value or classes changed.
+  move.before.fields = $.grep(move.before.fields, function (field) {
+    if (field.element.value !== field.value || field.element.className !== field.className) {
+      move.after.fields.push({ element: field.element, value: field.element.value, className: field.element.className });
+      return true;
+    }
+    return false;
+  });
+  this.undoStack.push(move);
+  this.redoStack = [];
+  this.updateHistoryButtons();
+};
+
+/**
+ * Shows that the table has unsaved changes.
+ */
+Drupal.tableDrag.prototype.setChanged = function () {
+  if (this.changed === false) {
+    this.$changedWarning = $(Drupal.theme('tableDragChangedWarning')).insertBefore(this.table).hide().fadeIn('slow');
+    this.changed = true;
+  }
+};
+
+/**
+ * Undoes the last move.
+ */
+Drupal.tableDrag.prototype.undo = function () {
+  // Finish a move through the keyboard first.
+  if (this.rowObject) {
+    this.dropRow(null, this);
+  }
+  var move = this.undoStack.pop();
+  if (move) {
+    this.restoreState(move.before);
+    this.redoStack.push(move);
+    this.updateHistoryButtons();
+    // Once all moves are undone, the tables are in their original state,
+    // unless moves in linked tables are still to be undone.
+    var tableDrags = [this].concat(this.getLinkedTables());
+    var changed = $.grep(tableDrags, function (tableDrag) {
+      return tableDrag.undoStack.length > 0;
+    });
+    if (!changed.length) {
+      $.each(tableDrags, function () {
+        this.$table.find('abbr.tabledrag-changed').remove();
+        if (this.$changedWarning) {
+          this.$changedWarning.remove();
+          this.$changedWarning = null;
+        }
+        this.changed = false;
+      });
+    }
+    Drupal.announce(Drupal.t('Move undone.'));
+  }
+};
+
+/**
+ * Redoes the last undone move.
+ */
+Drupal.tableDrag.prototype.redo = function () {
+  var move = this.redoStack.pop();
+  if (move) {
+    this.restoreState(move.after);
+    var marker = Drupal.theme('tableDragChangedMarker');
+    $(move.markedRows).each(function () {
+      var cell = $(this).find('td:first');
+      if (cell.find('abbr.tabledrag-changed').length === 0) {
+        cell.append(marker);
+      }
+    });
+    $.each(move.tableDrags, function () {
+      this.setChanged();
+    });
+    this.undoStack.push(move);
+    this.updateHistoryButtons();
+    Drupal.announce(Drupal.t('Move redone.'));
+  }
+};
+
+/**
+ * Enables the undo and redo buttons according to the history.
+ */
+Drupal.tableDrag.prototype.updateHistoryButtons = function () {
+  this.$undo.prop('disabled', !this.undoStack.length);
+  this.$redo.prop('disabled', !this.redoStack.length);
+  if (this.undoStack.length || this.redoStack.length) {
+    this.$undo.parent().show();
+  }
+};
+
+/**
+ * Returns the selected rows of the table.
+ *
+ * @return
+ *   A jQuery object of the selected draggable rows, in the order of the table.
+ */
+Drupal.tableDrag.prototype.getSelectedRows = function () {
+  return this.$table.find('> tr.draggable.selected, > tbody > tr.draggable.selected');
+};
+
+/**
+ * Toggles the selection of a row.
+ *
+ * @param row
+ *   DOM object for the clicked row.
+ * @param range
+ *   Whether to select all rows from the previously selected row to this one.
+ */
+Drupal.tableDrag.prototype.selectRow = function (row, range) {
+  var self = this;
+  var $rows = this.$table.find('> tr.draggable, > tbody > tr.draggable');
+  if (range && this.lastSelectedRow && $rows.index(this.lastSelectedRow) !== -1) {
+    var from = $rows.index(this.lastSelectedRow);
+    var to = $rows.index(row);
+    $rows.slice(Math.min(from, to), Math.max(from, to) + 1).each(function () {
+      self.setRowSelected(this, true);
+    });
+  }
+  else {
+    this.setRowSelected(row, !$(row).is('.selected'));
+  }
+  this.lastSelectedRow = row;
+};
+
+/**
+ * Selects or deselects a row.
+ *
+ * @param row
+ *   DOM object for the row.
+ * @param selected
+ *   Whether the row is selected.
+ */
+Drupal.tableDrag.prototype.setRowSelected = function (row, selected) {
+  var $row = $(row).toggleClass('selected', selected).attr('aria-selected', selected ? 'true' : 'false');
+  // Keep the checkbox of Drupal.tableSelect in sync.
+  if (this.$table.is('.table-select-processed')) {
+    var $checkbox = $row.find('td input[type="checkbox"]:enabled').first();
+    if ($checkbox.prop('checked') !== selected) {
+      $checkbox.prop('checked', selected).trigger('change');
+    }
+  }
+};
+
+/**
+ * Creates the row object for dragging a row.
+ *
+ * If the row is selected, the other selected rows are dragged along with it.
+ * They are only moved next to it once the row is actually moved, see
+ * Drupal.tableDrag.prototype.startMove().
+ *
+ * @param item
+ *   DOM object for the row being dragged.
+ * @param method
+ *   The method in which the rows are being moved.
+ */
+Drupal.tableDrag.prototype.createRowObject = function (item, method) {
+  var rowObject = new this.row(item, method, this.indentEnabled, this.maxDepth, true);
+  var $selected = this.getSelectedRows();
+  if ($(item).is('.selected') && $selected.length > 1) {
+    rowObject.selectedRows = $selected.get();
+  }
+  $(rowObject.rows).find('a.tabledrag-handle').attr('aria-grabbed', 'true');
+  return rowObject;
+};
+
+/**
+ * Prepares the first movement of the dragged rows.
+ *
+ * The position and indentation of the rows that are about to move are
+ * recorded, so that the move can be undone. Then the selected rows are moved
+ * next to the dragged row, to move them as one block. This is only done once,
+ * before the first movement of the dragged row.
+ */
+Drupal.tableDrag.prototype.startMove = function () {
+  var self = this;
+  var rowObject = this.rowObject;
+  if (!rowObject || rowObject.move) {
+    return;
+  }
+  var rows = $.merge([], rowObject.group);
+  var selectedRows = rowObject.selectedRows;
+  var n;
+  if (selectedRows) {
+    for (n = 0; n < selectedRows.length; n++) {
+      $.merge(rows, new this.row(selectedRows[n], rowObject.method, this.indentEnabled, this.maxDepth, false).group);
+    }
+  }
+  rowObject.move = { before: { rows: this.getRowStates($.unique(rows)), fields: [] } };
+  // The form elements of the moved rows are updated when they are dropped,
+  // and by the onDrop() handlers of modules. Only the weights of their new
+  // siblings are recorded when they are updated, see updateField().
+  $(rows).find(':input').each(function () {
+    self.recordField(this);
+  });
+
+  if (selectedRows) {
+    rowObject.selectedRows = null;
+    if (rowObject.addRows(selectedRows)) {
+      $(rowObject.rows).find('a.tabledrag-handle').attr('aria-grabbed', 'true');
+      this.rowGeometry = null;
+      this.restripeTable();
+    }
+  }
+};
+
 /**
  * Take an item and add event handlers to make it become draggable.
  */
@@ -312,7 +791,11 @@ Drupal.tableDrag.prototype.makeDraggable = function (item) {
   //Add a class to the title link
   $item.find('td:first a').addClass('menu-item__link');
   // Create the handle.
-  var handle = $('<a href="#" class="tabledrag-handle"><div class="handle">&nbsp;</div></a>').attr('title', Drupal.t('Drag to re-order'));
+  var handle = $('<a href="#" class="tabledrag-handle"><div class="handle">&nbsp;</div></a>').attr({
+    'title': Drupal.t('Drag to re-order'),
+    'aria-grabbed': 'false',
+    'aria-describedby': self.instructionsId
+  });
   // Insert the handle after indentations (if any).
   var $indentationLast = $item.find('td:first .indentation:last');
   if ($indentationLast.length) {
@@ -358,14 +841,31 @@ Drupal.tableDrag.prototype.makeDraggable = function (item) {
 
   // Add arrow-key support to the handle.
   handle.on('keydown', function (event) {
-    // If a rowObject doesn't yet exist and this isn't the tab key.
-    if (event.keyCode !== 9 && !self.rowObject) {
-      self.rowObject = new self.row(item, 'keyboard', self.indentEnabled, self.maxDepth, true);
+    // Leave the undo and redo shortcuts to the table.
+    if ((event.ctrlKey || event.metaKey) && !self.rowObject && /^[yz]$/i.test(String.fromCharCode(event.which))) {
+      return;
+    }
+
+    // If a rowObject doesn't yet exist and this isn't the tab or escape key.
+    if (event.keyCode !== 9 && event.keyCode !== 27 && !self.rowObject) {
+      self.rowObject = self.createRowObject(item, 'keyboard');
+    }
+
+    // Arrow keys move the row.
+    if (event.keyCode >= 37 && event.keyCode <= 40 || event.keyCode >= 63232 && event.keyCode <= 63235) {
+      self.startMove();
     }
 
     var keyChange = false;
     var groupHeight;
     switch (event.keyCode) {
+      case 27: // Escape.
+        if (self.rowObject) {
+          self.cancelMove();
+          handle.trigger('focus');
+          return false;
+        }
+        break;
       case 37: // Left arrow.
       case 63234: // Safari left arrow.
         keyChange = true;
@@ -461,6 +961,9 @@ Drupal.tableDrag.prototype.makeDraggable = function (item) {
       self.oldRowElement = item;
       self.restripeTable();
       self.onDrag();
+      if (keyChange) {
+        self.announceMove();
+      }
     }
 
     // Returning false if we have an arrow key to prevent scrolling.
@@ -508,11 +1011,20 @@ Drupal.tableDrag.prototype.dragStart = function (event, self, item) {
   }
 
   // Create a new rowObject for manipulation of this row.
-  self.rowObject = new self.row(item, 'pointer', self.indentEnabled, self.maxDepth, true);
+  self.linkedTables = self.getLinkedTables();
+  self.rowObject = self.createRowObject(item, 'pointer');
+  window.addEventListener('resize', self.invalidateRowGeometry);
+  document.addEventListener('scroll', self.invalidateRowGeometry, true);
 
-  // Save the position of the table.
+  // Save the position of the table, including the tables linked to it, to
+  // scroll within.
   self.table.topY = $(self.table).offset().top;
   self.table.bottomY = self.table.topY + self.table.offsetHeight;
+  $.each(self.linkedTables, function () {
+    var top = this.$table.offset().top;
+    self.table.topY = Math.min(self.table.topY, top);
+    self.table.bottomY = Math.max(self.table.bottomY, top + this.table.offsetHeight);
+  });
 
   // Add classes to the handle and row.
   $(item).addClass('drag');
@@ -530,6 +1042,27 @@ Drupal.tableDrag.prototype.dragStart = function (event, self, item) {
 Drupal.tableDrag.prototype.dragRow = function (event, self) {
   if (self.dragObject) {
     self.currentPointerCoords = self.pointerCoords(event);
+    // Process the movement at most once per frame.
+    if (!window.requestAnimationFrame) {
+      self.moveRow();
+    }
+    else if (!self.dragFrame) {
+      self.dragFrame = window.requestAnimationFrame(function () {
+        self.dragFrame = null;
+        self.moveRow();
+      });
+    }
+    return false;
+  }
+};
+
+/**
+ * Moves the dragged rows to the current pointer position.
+ */
+Drupal.tableDrag.prototype.moveRow = function () {
+  var self = this;
+  if (self.dragObject) {
+    self.startMove();
     var y = self.currentPointerCoords.y - self.dragObject.initOffset.y;
     var x = self.currentPointerCoords.x - self.dragObject.initOffset.x;
 
@@ -550,13 +1083,37 @@ Drupal.tableDrag.prototype.dragRow = function (event, self) {
       // If we have a valid target, perform the swap and restripe the table.
       var currentRow = self.findDropTargetRow(x, y);
       if (currentRow) {
+        var table = self.rowObject.table;
+        var group = self.rowObject.group;
+        var before = $(group[0]).prev('tr').get(0);
+        var after = $(group[group.length - 1]).next('tr').get(0);
         if (self.rowObject.direction === 'down') {
           self.rowObject.swap('after', currentRow, self);
         }
         else {
           self.rowObject.swap('before', currentRow, self);
         }
-        self.restripeTable();
+
+        if (self.rowObject.table === table) {
+          // Only the rows between the old and the new position changed.
+          var rows = table.tBodies[0].rows;
+          var bounds = [group[0], group[group.length - 1]];
+          bounds.push(before ? $(before).next('tr').get(0) : rows[0]);
+          bounds.push(after ? $(after).prev('tr').get(0) : rows[rows.length - 1]);
+          bounds.sort(function (a, b) {
+            return a.rowIndex - b.rowIndex;
+          });
+          self.getTableDrag(table).restripeTable(bounds[0], bounds[bounds.length - 1]);
+        }
+        else {
+          self.getTableDrag(table).restripeTable();
+          self.getTableDrag(self.rowObject.table).restripeTable();
+          // Both tables changed their size.
+          self.linkedTableBounds = null;
+        }
+        if (self.rowGeometry) {
+          self.rowGeometry = self.layoutRows(self.rowGeometry.table, self.rowGeometry.top);
+        }
       }
     }
 
@@ -583,24 +1140,49 @@ Drupal.tableDrag.prototype.dragRow = function (event, self) {
 Drupal.tableDrag.prototype.dropRow = function (event, self) {
   var droppedRow, $droppedRow;
 
+  // Process the last movement before dropping.
+  if (self.dragFrame) {
+    window.cancelAnimationFrame(self.dragFrame);
+    self.dragFrame = null;
+    self.moveRow();
+  }
+  window.removeEventListener('resize', self.invalidateRowGeometry);
+  document.removeEventListener('scroll', self.invalidateRowGeometry, true);
+  self.rowGeometry = null;
+  self.linkedTables = null;
+  self.linkedTableBounds = null;
+
   // Drop row functionality.
   if (self.rowObject !== null) {
     droppedRow = self.rowObject.element;
-    $droppedRow = $(droppedRow);
+    $droppedRow = $(self.rowObject.rows);
+    // The rows may have been dragged into a linked table, whose settings apply
+    // from now on.
+    var target = self.getTableDrag(self.rowObject.table);
+    var i;
     // The row is already in the right place so we just release it.
     if (self.rowObject.changed === true) {
-      // Update the fields in the dropped row.
-      self.updateFields(droppedRow);
+      target.rowObject = self.rowObject;
+      if (target !== self) {
+        for (i = 0; i < self.rowObject.group.length; i++) {
+          target.adoptRow(self.rowObject.group[i], self);
+        }
+      }
+
+      // Update the fields in the dropped rows.
+      for (i = 0; i < self.rowObject.rows.length; i++) {
+        target.updateFields(self.rowObject.rows[i]);
+      }
 
       // If a setting exists for affecting the entire group, update all the
       // fields in the entire dragged group.
-      for (var group in self.tableSettings) {
-        if (self.tableSettings.hasOwnProperty(group)) {
-          var rowSettings = self.rowSettings(group, droppedRow);
-          if (rowSettings.relationship === 'group') {
+      for (var group in target.tableSettings) {
+        if (target.tableSettings.hasOwnProperty(group)) {
+          var rowSettings = target.rowSettings(group, droppedRow);
+          if (rowSettings && rowSettings.relationship === 'group') {
             for (var n in self.rowObject.children) {
               if (self.rowObject.children.hasOwnProperty(n)) {
-                self.updateField(self.rowObject.children[n], group);
+                target.updateField(self.rowObject.children[n], group);
               }
             }
           }
@@ -608,9 +1190,11 @@ Drupal.tableDrag.prototype.dropRow = function (event, self) {
       }
 
       self.rowObject.markChanged();
-      if (self.changed === false) {
-        $(Drupal.theme('tableDragChangedWarning')).insertBefore(self.table).hide().fadeIn('slow');
-        self.changed = true;
+      $.each(target === self ? [self] : [self, target], function () {
+        this.setChanged();
+      });
+      if (target !== self) {
+        target.rowObject = null;
       }
     }
 
@@ -620,9 +1204,17 @@ Drupal.tableDrag.prototype.dropRow = function (event, self) {
     if (self.oldRowElement) {
       $(self.oldRowElement).removeClass('drag-previous');
     }
-    $droppedRow.removeClass('drag').addClass('drag-previous');
-    self.oldRowElement = droppedRow;
-    self.onDrop();
+    $droppedRow.removeClass('drag').addClass('drag-previous')
+      .find('a.tabledrag-handle').attr('aria-grabbed', 'false');
+    self.oldRowElement = $droppedRow.get();
+    self.onDrop(self.rowObject.rows);
+    if (target !== self) {
+      target.oldRowElement = self.oldRowElement;
+      target.onDrop(self.rowObject.rows);
+    }
+    if (self.rowObject.changed === true) {
+      self.recordMove(self.rowObject, target === self ? [self] : [self, target]);
+    }
     self.rowObject = null;
   }
 
@@ -634,6 +1226,67 @@ Drupal.tableDrag.prototype.dropRow = function (event, self) {
   }
 };
 
+/**
+ * Cancels the current move and puts the rows back where they were.
+ */
+Drupal.tableDrag.prototype.cancelMove = function () {
+  var rowObject = this.rowObject;
+  // Reset first, so that losing the focus does not drop the rows.
+  this.rowObject = null;
+  if (rowObject.move) {
+    this.restoreState(rowObject.move.before);
+  }
+  if (this.indentEnabled) {
+    rowObject.removeIndentClasses();
+  }
+  $(rowObject.rows).removeClass('drag').find('a.tabledrag-handle').attr('aria-grabbed', 'false');
+  Drupal.announce(Drupal.t('Move cancelled.'));
+};
+
+/**
+ * Announces the position of the row being moved to screen reader users.
+ */
+Drupal.tableDrag.prototype.announceMove = function () {
+  var row = this.rowObject.element;
+  var $rows = $(this.rowObject.table.tBodies[0].rows).filter('.draggable').not(':hidden');
+  var siblings = $rows.get();
+  var parent = null;
+
+  if (this.indentEnabled) {
+    // The siblings are the rows with the same indentation, between the parent
+    // and the next row with less indentation.
+    var indents = this.rowObject.indents;
+    var index = $rows.index(row);
+    var start = index;
+    var end = index;
+    while (start > 0 && $rows.eq(start - 1).find('.indentation').length >= indents) {
+      start--;
+    }
+    while (end < $rows.length - 1 && $rows.eq(end + 1).find('.indentation').length >= indents) {
+      end++;
+    }
+    if (start > 0) {
+      parent = $rows.get(start - 1);
+    }
+    siblings = $rows.slice(start, end + 1).filter(function () {
+      return $(this).find('.indentation').length === indents;
+    }).get();
+  }
+
+  var args = {
+    '@title': getRowTitle(row),
+    '@position': $.inArray(row, siblings) + 1,
+    '@total': siblings.length
+  };
+  if (parent) {
+    args['@parent'] = getRowTitle(parent);
+    Drupal.announce(Drupal.t("Moved '@title' to position @position of @total, child of '@parent'.", args), 'assertive');
+  }
+  else {
+    Drupal.announce(Drupal.t("Moved '@title' to position @position of @total.", args), 'assertive');
+  }
+};
+
 /**
  * Get the coordinates from the event (allowing for browser differences).
  */
@@ -667,56 +1320,143 @@ Drupal.tableDrag.prototype.getPointerOffset = function (target, event) {
  *   The y coordinate of the mouse on the page (not the screen).
  */
 Drupal.tableDrag.prototype.findDropTargetRow = function (x, y) {
-  var rows = $(this.table.tBodies[0].rows).not(':hidden');
-  for (var n = 0; n < rows.length; n++) {
-    var row = rows[n];
-    var $row = $(row);
-    var rowY = $row.offset().top;
-    var rowHeight;
-    // Because Safari does not report offsetHeight on table rows, but does on
-    // table cells, grab the firstChild of the row and use that instead.
-    // http://jacob.peargrove.com/blog/2006/technical/table-row-offsettop-bug-in-safari.
-    if (row.offsetHeight === 0) {
-      rowHeight = parseInt(row.firstChild.offsetHeight, 10) / 2;
-    }
-    // Other browsers.
+  var table = this.table;
+  // Look for the row in a linked table if the pointer is over it.
+  var pointer = this.currentPointerCoords;
+  $.each(this.getLinkedTableBounds(), function () {
+    if (pointer && pointer.x >= this.left && pointer.x <= this.right && pointer.y >= this.top && pointer.y <= this.bottom) {
+      table = this.table;
+      return false;
+    }
+  });
+  var geometry = this.getRowGeometry(table);
+
+  // Find the first row whose middle is below the position with a binary search.
+  var low = 0;
+  var high = geometry.rows.length - 1;
+  var n = -1;
+  while (low <= high) {
+    var middle = Math.floor((low + high) / 2);
+    if (geometry.tops[middle] + geometry.heights[middle] / 2 > y) {
+      n = middle;
+      high = middle - 1;
+    }
     else {
-      rowHeight = parseInt(row.offsetHeight, 10) / 2;
+      low = middle + 1;
     }
+  }
 
-    // Because we always insert before, we need to offset the height a bit.
-    if ((y > (rowY - rowHeight)) && (y < (rowY + rowHeight))) {
-      if (this.indentEnabled) {
-        // Check that this row is not a child of the row being dragged.
-        for (n in this.rowObject.group) {
-          if (this.rowObject.group[n] === row) {
-            return null;
-          }
-        }
-      }
-      else {
-        // Do not allow a row to be swapped with itself.
-        if (row === this.rowObject.element) {
-          return null;
-        }
-      }
+  // Because we always insert before, we need to offset the height a bit.
+  if (n === -1 || y <= geometry.tops[n] - geometry.heights[n] / 2) {
+    return null;
+  }
+  var row = geometry.rows[n];
 
-      // Check that swapping with this row is allowed.
-      if (!this.rowObject.isValidSwap(row)) {
-        return null;
-      }
+  if (this.indentEnabled) {
+    // Check that this row is not a child of the row being dragged.
+    if ($.inArray(row, this.rowObject.group) !== -1) {
+      return null;
+    }
+  }
+  else {
+    // Do not allow a row to be swapped with itself.
+    if (row === this.rowObject.element) {
+      return null;
+    }
+  }
 
-      // We may have found the row the mouse just passed over, but it doesn't
-      // take into account hidden rows. Skip backwards until we find a draggable
-      // row.
-      while ($row.is(':hidden') && $row.prev('tr').is(':hidden')) {
-        $row = $row.prev('tr').eq(0);
-        row = $row.get(0);
-      }
-      return row;
+  // Check that swapping with this row is allowed.
+  if (!this.rowObject.isValidSwap(row)) {
+    return null;
+  }
+
+  return row;
+};
+
+/**
+ * Returns the positions of the tables linked to this one during a drag.
+ *
+ * Like the row geometry, they are measured once, and again only when the page
+ * is resized, a container scrolls or rows move between the tables.
+ *
+ * @return
+ *   An array of objects with the keys 'table', 'left', 'right', 'top' and
+ *   'bottom'.
+ */
+Drupal.tableDrag.prototype.getLinkedTableBounds = function () {
+  if (!this.linkedTableBounds) {
+    this.linkedTableBounds = $.map(this.linkedTables || this.getLinkedTables(), function (tableDrag) {
+      var offset = tableDrag.$table.offset();
+      return {
+        table: tableDrag.table,
+        left: offset.left,
+        right: offset.left + tableDrag.table.offsetWidth,
+        top: offset.top,
+        bottom: offset.top + tableDrag.table.offsetHeight
+      };
+    });
+  }
+  return this.linkedTableBounds;
+};
+
+/**
+ * Returns the position and height of the visible rows of a table.
+ *
+ * The rows are measured once at the start of a drag, and their positions are
+ * then calculated from their heights when rows are moved, so that moving the
+ * pointer does not force the browser to recalculate the layout.
+ *
+ * @param table
+ *   DOM object for the table.
+ *
+ * @return
+ *   An object with the following keys:
+ *   - table: The table.
+ *   - top: The top of the table body.
+ *   - rows: An array of the visible rows, in the order of the table.
+ *   - tops: An array of the top of each row.
+ *   - heights: An array of the height of each row.
+ */
+Drupal.tableDrag.prototype.getRowGeometry = function (table) {
+  if (!this.rowGeometry || this.rowGeometry.table !== table) {
+    $(table.tBodies[0].rows).each(function () {
+      // Hidden rows cannot be drop targets.
+      $.data(this, 'tableDragHeight', $(this).is(':hidden') ? 0 : getRowHeight(this));
+    });
+    this.rowGeometry = this.layoutRows(table, $(table.tBodies[0]).offset().top);
+  }
+  return this.rowGeometry;
+};
+
+/**
+ * Calculates the positions of the rows of a table from their cached heights.
+ *
+ * @param table
+ *   DOM object for the table.
+ * @param top
+ *   The top of the table body.
+ *
+ * @return
+ *   The row geometry, as returned by getRowGeometry().
+ */
+Drupal.tableDrag.prototype.layoutRows = function (table, top) {
+  var rows = table.tBodies[0].rows;
+  var geometry = { table: table, top: top, rows: [], tops: [], heights: [] };
+  for (var i = 0; i < rows.length; i++) {
+    var height = $.data(rows[i], 'tableDragHeight');
+    // Measure rows that were dragged in from a linked table.
+    if (typeof height === 'undefined') {
+      height = getRowHeight(rows[i]);
+      $.data(rows[i], 'tableDragHeight', height);
+    }
+    if (height) {
+      geometry.rows.push(rows[i]);
+      geometry.tops.push(top);
+      geometry.heights.push(height);
+      top += height;
     }
   }
-  return null;
+  return geometry;
 };
 
 /**
@@ -841,6 +1581,10 @@ Drupal.tableDrag.prototype.updateField = function (changedRow, group) {
         break;
       case 'order':
         var siblings = this.rowObject.findSiblings(rowSettings);
+        var self = this;
+        $(siblings).find(targetClass).each(function () {
+          self.recordField(this);
+        });
         if ($(targetElement).is('select')) {
           // Get a list of acceptable values.
           var values = [];
@@ -921,14 +1665,43 @@ Drupal.tableDrag.prototype.setScroll = function (scrollAmount) {
   }, this.scrollSettings.interval);
 };
 
-Drupal.tableDrag.prototype.restripeTable = function () {
-  // :even and :odd are reversed because jQuery counts from 0 and
-  // we count from 1, so we're out of sync.
-  // Match immediate children of the parent element to allow nesting.
-  $(this.table).find('> tbody > tr.draggable:visible, > tr.draggable:visible')
-    .removeClass('odd even')
-    .filter(':odd').addClass('even').end()
-    .filter(':even').addClass('odd');
+/**
+ * Restripes the rows of the table.
+ *
+ * @param fromRow
+ *   (optional) DOM object for the first row to restripe. Defaults to the first
+ *   row of the table.
+ * @param toRow
+ *   (optional) DOM object for the last row to restripe, if fromRow is given.
+ */
+Drupal.tableDrag.prototype.restripeTable = function (fromRow, toRow) {
+  if (!fromRow) {
+    // :even and :odd are reversed because jQuery counts from 0 and
+    // we count from 1, so we're out of sync.
+    // Match immediate children of the parent element to allow nesting.
+    $(this.table).find('> tbody > tr.draggable:visible, > tr.draggable:visible')
+      .removeClass('odd even')
+      .filter(':odd').addClass('even').end()
+      .filter(':even').addClass('odd');
+    return;
+  }
+
+  // Continue the stripes of the previous visible row.
+  var previous = fromRow.previousSibling;
+  while (previous && !$(previous).is('tr.draggable:visible')) {
+    previous = previous.previousSibling;
+  }
+  var odd = !previous || $(previous).hasClass('even');
+  for (var row = fromRow; row; row = row.nextSibling) {
+    var $row = $(row);
+    if ($row.is('tr.draggable:visible')) {
+      $row.toggleClass('odd', odd).toggleClass('even', !odd);
+      odd = !odd;
+    }
+    if (row === toRow) {
+      break;
+    }
+  }
 };
 
 /**
@@ -940,8 +1713,11 @@ Drupal.tableDrag.prototype.onDrag = function () {
 
 /**
  * Stub function. Allows a custom handler when a row is dropped.
+ *
+ * @param rows
+ *   An array of the DOM objects for the dropped rows, without their children.
  */
-Drupal.tableDrag.prototype.onDrop = function () {
+Drupal.tableDrag.prototype.onDrop = function (rows) {
   return null;
 };
 
@@ -963,6 +1739,7 @@ Drupal.tableDrag.prototype.row = function (tableRow, method, indentEnabled, maxD
   var $tableRow = $(tableRow);
 
   this.element = tableRow;
+  this.rows = [tableRow];
   this.method = method;
   this.group = [tableRow];
   this.groupDepth = $tableRow.find('.indentation').length;
@@ -983,6 +1760,103 @@ Drupal.tableDrag.prototype.row = function (tableRow, method, indentEnabled, maxD
   }
 };
 
+/**
+ * Adds rows, along with their children, to be moved as one block.
+ *
+ * The rows are moved next to the row, keeping their order, and are indented
+ * to the same level as the row. Children of the rows are moved along with
+ * them, so rows that are children of other rows are not added separately.
+ * Rows that the row is a child of stay in place.
+ *
+ * @param rows
+ *   An array of DOM objects for the rows, in the order of the table.
+ *
+ * @return
+ *   true if any rows were moved, false otherwise.
+ */
+Drupal.tableDrag.prototype.row.prototype.addRows = function (rows) {
+  var before = [];
+  var after = [];
+  var children = $.merge([], this.children || []);
+  var topRows = [];
+  var rowObjects = [];
+  var isBefore = true;
+  var n;
+
+  for (n = 0; n < rows.length; n++) {
+    if (rows[n] === this.element) {
+      isBefore = false;
+      topRows.push(rows[n]);
+    }
+    // Skip children of rows that are already part of the block.
+    else if ($.inArray(rows[n], this.group) === -1 && $.inArray(rows[n], before) === -1 && $.inArray(rows[n], after) === -1) {
+      var rowObject = new this.constructor(rows[n], this.method, this.indentEnabled, this.maxDepth, false);
+      // Leave selected parents of the row in place, the row is moved out of
+      // them along with the other selected rows.
+      if ($.inArray(this.element, rowObject.group) !== -1) {
+        continue;
+      }
+      $.merge(isBefore ? before : after, rowObject.group);
+      $.merge(children, rowObject.children || []);
+      topRows.push(rows[n]);
+      rowObjects.push(rowObject);
+    }
+  }
+
+  if (this.indentEnabled) {
+    for (n = 0; n < rowObjects.length; n++) {
+      this.alignIndentation(rowObjects[n]);
+    }
+  }
+
+  // Check whether the rows already form a block, in which case they stay in
+  // place.
+  var group = $.merge($.merge($.merge([], before), this.group), after);
+  for (n = 1; n < group.length; n++) {
+    if ($(group[n - 1]).next('tr').get(0) !== group[n]) {
+      this.changed = true;
+      break;
+    }
+  }
+
+  $(this.element).before(before);
+  $(this.group[this.group.length - 1]).after(after);
+  this.group = group;
+  this.rows = topRows;
+  this.children = children;
+  // The first row of the block determines where it can be dropped.
+  this.element = this.group[0];
+
+  if (this.indentEnabled) {
+    for (n = 0; n < this.group.length; n++) {
+      this.groupDepth = Math.max($(this.group[n]).find('.indentation').length, this.groupDepth);
+    }
+  }
+  return this.changed;
+};
+
+/**
+ * Indents the group of another row object to the level of this row.
+ *
+ * @param rowObject
+ *   The row object to indent.
+ */
+Drupal.tableDrag.prototype.row.prototype.alignIndentation = function (rowObject) {
+  var $group = $(rowObject.group);
+  var indentDiff = this.indents - rowObject.indents;
+  for (var n = 1; n <= Math.abs(indentDiff); n++) {
+    if (indentDiff < 0) {
+      $group.find('.indentation:first').remove();
+    }
+    else {
+      $group.find('td:first').prepend(Drupal.theme('tableDragIndentation'));
+    }
+  }
+  if (indentDiff) {
+    this.changed = true;
+  }
+};
+
 /**
  * Find all children of rowObject by indentation.
  *
@@ -1053,7 +1927,7 @@ Drupal.tableDrag.prototype.row.prototype.isValidSwap = function (row) {
   }
 
   // Do not let an un-draggable first row have anything put before it.
-  if (this.table.tBodies[0].rows[0] === row && $row.is(':not(.draggable)')) {
+  if ($row.closest('table').get(0).tBodies[0].rows[0] === row && $row.is(':not(.draggable)')) {
     return false;
   }
 
@@ -1072,6 +1946,8 @@ Drupal.tableDrag.prototype.row.prototype.swap = function (position, row) {
   Drupal.detachBehaviors(this.group, drupalSettings, 'move');
   $(row)[position](this.group);
   Drupal.attachBehaviors(this.group, drupalSettings);
+  // The row may have been moved to a linked table.
+  this.table = $(this.element).closest('table')[0];
   this.changed = true;
   this.onSwap(row);
 };
@@ -1221,14 +2097,16 @@ Drupal.tableDrag.prototype.row.prototype.removeIndentClasses = function () {
 };
 
 /**
- * Add an asterisk or other marker to the changed row.
+ * Add an asterisk or other marker to the changed rows.
  */
 Drupal.tableDrag.prototype.row.prototype.markChanged = function () {
   var marker = Drupal.theme('tableDragChangedMarker');
-  var cell = $(this.element).find('td:first');
-  if (cell.find('abbr.tabledrag-changed').length === 0) {
-    cell.append(marker);
-  }
+  $(this.rows).each(function () {
+    var cell = $(this).find('td:first');
+    if (cell.find('abbr.tabledrag-changed').length === 0) {
+      cell.append(marker);
+    }
+  });
 };
 
 /**
@@ -0,0 +1,392 @@
+/**
+ * @file
+ * Filters and sorts the rows of tables in the browser.
+ *
+ * Tables are sorted by clicking the header of columns that have the
+ * data-sort-type attribute, with one of the values 'text', 'number' or 'date'.
+ * Cells may hold the value to sort by in the data-sort-value attribute.
+ * @code
+ *   <th data-sort-type="date">Updated</th>
+ *   ...
+ *   <td data-sort-value="2013-10-01">1 October 2013</td>
+ * @endcode
+ *
+ * Text inputs filter tables through Drupal.TableFilter.
+ */
+
+(function ($, Drupal) {
+
+"use strict";
+
+/**
+ * Returns the cell of a row in a column, accounting for cells spanning columns.
+ */
+function getCell(row, column) {
+  for (var i = 0, index = 0; i < row.cells.length; i++) {
+    index += row.cells[i].colSpan || 1;
+    if (index > column) {
+      return row.cells[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the number of columns of a table.
+ */
+function getColumnCount(table) {
+  var count = 0;
+  var row = $(table).find('> thead > tr').last().get(0) || $(table).find('> tbody > tr').get(0);
+  if (row) {
+    $.each(row.cells, function () {
+      count += this.colSpan || 1;
+    });
+  }
+  return count;
+}
+
+/**
+ * Filters the rows of one or more tables by a text input.
+ *
+ * The query is split into terms, and rows match if all terms occur in their
+ * source text. With fuzzy matching, the characters of a term only need to
+ * occur in the same order, so 'nde' matches 'node'. Tables without matching
+ * rows show a "no results" row, and the number of matching rows is announced.
+ *
+ * @param input
+ *   The text input.
+ * @param container
+ *   The table, or an element containing the tables, to filter.
+ * @param options
+ *   (optional) An object with the following keys:
+ *   - sources: A selector of the elements within rows that hold the text to
+ *     match. Defaults to '.table-filter-text-source'.
+ *   - columns: An array of the indexes of the columns to match, instead of
+ *     the sources.
+ *   - minLength: The minimum length of the query to filter by. Defaults to 2.
+ *   - fuzzy: Whether to use fuzzy matching. Defaults to false.
+ *   - delay: The number of milliseconds to wait for the user to stop typing.
+ *     Defaults to 0.
+ *   - onFilter: A function called with the query and the number of matching
+ *     rows after the rows are filtered.
+ *   - onReset: A function called after all rows are shown again.
+ *
+ * @constructor
+ */
+function TableFilter(input, container, options) {
+  this.$input = $(input);
+  this.$container = $(container);
+  this.options = $.extend({}, TableFilter.defaults, options);
+  this.$rows = this.$container.find('tbody tr');
+  this.$emptyRow = $();
+  this.filtered = false;
+
+  var self = this;
+  var handler = function () {
+    self.filter(self.$input.val());
+  };
+  this.$input.on('keyup', this.options.delay ? Drupal.debounce(handler, this.options.delay) : handler);
+}
+
+$.extend(TableFilter, {
+
+  /**
+   * Default options of table filters.
+   */
+  defaults: {
+    sources: '.table-filter-text-source',
+    columns: null,
+    minLength: 2,
+    fuzzy: false,
+    delay: 0,
+    onFilter: null,
+    onReset: null
+  },
+
+  /**
+   * Checks whether a text contains a term.
+   *
+   * @param text
+   *   The lowercase text.
+   * @param term
+   *   The lowercase term.
+   * @param fuzzy
+   *   Whether the characters of the term only need to occur in the same order.
+   */
+  match: function (text, term, fuzzy) {
+    if (!fuzzy) {
+      return text.indexOf(term) !== -1;
+    }
+    var position = -1;
+    for (var i = 0; i < term.length; i++) {
+      position = text.indexOf(term.charAt(i), position + 1);
+      if (position === -1) {
+        return false;
+      }
+    }
+    return true;
+  }
+});
+
+$.extend(TableFilter.prototype, {
+
+  /**
+   * Shows the rows matching a query and hides the others.
+   *
+   * @param query
+   *   The query. Queries shorter than the minimum length show all rows.
+   */
+  filter: function (query) {
+    var terms = $.trim(query.toLowerCase()).split(/\s+/);
+    if (terms.join(' ').length < this.options.minLength) {
+      this.reset();
+      return;
+    }
+    var self = this;
+    var count = 0;
+    this.$rows.each(function () {
+      var text = self.getText(this);
+      var matches = true;
+      for (var i = 0; i < terms.length && matches; i++) {
+        matches = TableFilter.match(text, terms[i], self.options.fuzzy);
+      }
+      $(this).toggle(matches);
+      count += matches ? 1 : 0;
+    });
+    this.filtered = true;
+    this.showEmpty(!count);
+    Drupal.announce(Drupal.formatPlural(count, '1 result is available.', '@count results are available.'));
+    if (this.options.onFilter) {
+      this.options.onFilter.call(this, query, count);
+    }
+  },
+
+  /**
+   * Shows all rows again, if they were filtered.
+   */
+  reset: function () {
+    if (this.filtered) {
+      this.filtered = false;
+      this.showEmpty(false);
+      this.$rows.show();
+      if (this.options.onReset) {
+        this.options.onReset.call(this);
+      }
+    }
+  },
+
+  /**
+   * Returns the lowercase text of a row to match the query against.
+   */
+  getText: function (row) {
+    var text = '';
+    if (this.options.columns) {
+      $.each(this.options.columns, function (index, column) {
+        text += ' ' + $(getCell(row, column)).text();
+      });
+    }
+    else {
+      text = $(row).find(this.options.sources).text();
+    }
+    return text.toLowerCase();
+  },
+
+  /**
+   * Shows or hides the "no results" message.
+   *
+   * The message is added as a row to a table container, and after the tables
+   * of any other container, which may hide some of its tables.
+   */
+  showEmpty: function (show) {
+    if (show && !this.$emptyRow.length) {
+      if (this.$container.is('table')) {
+        this.$emptyRow = $(Drupal.theme('tableFilterEmpty', getColumnCount(this.$container.get(0)))).appendTo(this.$container.find('> tbody'));
+      }
+      else {
+        // Insert the message after the child of the container that holds the
+        // last table, such as the <details> of a package.
+        var $table = this.$container.find('table:not(.sticky-header)').last();
+        var $parents = $table.parentsUntil(this.$container);
+        this.$emptyRow = $(Drupal.theme('tableFilterEmptyMessage')).insertAfter($parents.length ? $parents.last() : $table);
+      }
+    }
+    this.$emptyRow.toggle(show);
+  }
+});
+
+/**
+ * Sorts the rows of a table by the columns with a data-sort-type attribute.
+ *
+ * @param table
+ *   DOM object for the table.
+ *
+ * @constructor
+ */
+function TableSort(table) {
+  this.table = table;
+  this.$table = $(table);
+  this.column = null;
+  this.descending = false;
+
+  // The sticky header of tableheader.js is a copy of the header of the table.
+  // Copies made after this keep the buttons and their click handlers.
+  this.addButtons(this.$table.prev('table.sticky-header').addBack());
+}
+
+$.extend(TableSort, {
+
+  /**
+   * Functions that return the value to sort by, keyed by sort type.
+   *
+   * Values that cannot be parsed are returned as null, and sorted last.
+   */
+  parsers: {
+    text: function (value) {
+      return value.toLowerCase();
+    },
+    number: function (value) {
+      var number = parseFloat(value.replace(/[^0-9.\-]/g, ''));
+      return isNaN(number) ? null : number;
+    },
+    date: function (value) {
+      var date = Date.parse(value);
+      return isNaN(date) ? null : date;
+    }
+  }
+});
+
+$.extend(TableSort.prototype, {
+
+  /**
+   * Turns the headers of sortable columns of tables into buttons.
+   *
+   * @param $tables
+   *   The table and its sticky header, as a jQuery object.
+   */
+  addButtons: function ($tables) {
+    var self = this;
+    $tables.find('> thead > tr:last-child > th[data-sort-type]').each(function () {
+      var column = 0;
+      $(this).prevAll().each(function () {
+        column += this.colSpan || 1;
+      });
+      var type = $(this).attr('data-sort-type');
+      $(this).attr('aria-sort', 'none').wrapInner('<button type="button" class="link tablesort-toggle"></button>');
+      $(this).children('button').on('click', function () {
+        self.toggle(column, type);
+      });
+    });
+  },
+
+  /**
+   * Sorts the table by a column, or reverses the order if it is sorted by it.
+   *
+   * @param column
+   *   The index of the column.
+   * @param type
+   *   The sort type of the column.
+   */
+  toggle: function (column, type) {
+    this.sort(column, type, this.column === column ? !this.descending : false);
+    var descending = this.descending;
+    var label = '';
+    // Update the header of the table and of its sticky header.
+    this.$table.prev('table.sticky-header').addBack().find('> thead > tr:last-child').each(function () {
+      var $header = $(getCell(this, column));
+      $(this).children('th[aria-sort]').attr('aria-sort', 'none');
+      $header.attr('aria-sort', descending ? 'descending' : 'ascending');
+      label = $.trim($header.text());
+    });
+    var args = { '@column': label };
+    Drupal.announce(descending ? Drupal.t('Sorted by @column, descending.', args) : Drupal.t('Sorted by @column, ascending.', args));
+  },
+
+  /**
+   * Sorts the rows of the table by a column.
+   *
+   * @param column
+   *   The index of the column.
+   * @param type
+   *   The sort type of the column: 'text', 'number' or 'date'.
+   * @param descending
+   *   Whether to sort in descending order.
+   */
+  sort: function (column, type, descending) {
+    var parse = TableSort.parsers[type] || TableSort.parsers.text;
+    var $tbody = this.$table.find('> tbody');
+    var rows = [];
+    // Keep rows without a value, such as the "no results" row, at the end.
+    $tbody.children('tr').each(function (index) {
+      var cell = getCell(this, column);
+      var value = null;
+      if (cell && !$(this).hasClass('table-filter-empty')) {
+        var attribute = cell.getAttribute('data-sort-value');
+        value = parse(attribute !== null ? attribute : $.trim($(cell).text()));
+      }
+      rows.push({ row: this, value: value, index: index });
+    });
+    rows.sort(function (a, b) {
+      if (a.value === b.value || (a.value === null && b.value === null)) {
+        // Keep the original order of equal values.
+        return a.index - b.index;
+      }
+      if (a.value === null || b.value === null) {
+        return a.value === null ? 1 : -1;
+      }
+      var result = typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+      return (descending ? -result : result) || a.index - b.index;
+    });
+    $.each(rows, function () {
+      $tbody.append(this.row);
+    });
+
+    // Restripe the table.
+    $tbody.children('tr.odd, tr.even').filter(':visible')
+      .removeClass('odd even')
+      .filter(':odd').addClass('even').end()
+      .filter(':even').addClass('odd');
+
+    this.column = column;
+    this.descending = descending;
+  }
+});
+
+/**
+ * Makes the columns with a data-sort-type attribute sortable.
+ */
+Drupal.behaviors.tableSort = {
+  attach: function (context) {
+    $(context).find('th[data-sort-type]').closest('table').not('.sticky-header').once('table-sort', function () {
+      $(this).data('tableSort', new TableSort(this));
+    });
+  }
+};
+
+/**
+ * Theme function for the row shown when no rows match a filter.
+ *
+ * @param columns
+ *   The number of columns of the table.
+ *
+ * @return
+ *   The HTML for the row.
+ */
+Drupal.theme.tableFilterEmpty = function (columns) {
+  return '<tr class="table-filter-empty"><td colspan="' + columns + '">' + Drupal.t('No results match the search.') + '</td></tr>';
+};
+
+/**
+ * Theme function for the message shown when no rows of several tables match a
+ * filter.
+ *
+ * @return
+ *   The HTML for the message.
+ */
+Drupal.theme.tableFilterEmptyMessage = function () {
+  return '<p class="table-filter-empty">' + Drupal.t('No results match the search.') + '</p>';
+};
+
+Drupal.TableFilter = TableFilter;
+Drupal.TableSort = TableSort;
+
+})(jQuery, Drupal);
@@ -2,11 +2,22 @@
 
 "use strict";
 
+// Initialize sticky table headers.
+function initTables($tables) {
+  $tables = $tables.once('tableheader');
+  for (var i = 0, il = $tables.length; i < il; i++) {
+    TableHeader.tables.push(new TableHeader($tables[i]));
+  }
+}
+
 /**
  * Attaches sticky table headers.
  */
 Drupal.behaviors.tableHeader = {
   attach: function (context) {
+    // Sticky columns are needed as soon as the table is scrolled horizontally,
+    // which does not scroll the window.
+    initTables($(context).find('table.sticky-enabled[data-drupal-sticky-columns]'));
     $(window).one('scroll.TableHeaderInit', {context: context}, tableHeaderInitHandler);
   }
 };
@@ -17,10 +28,17 @@ function scrollValue(position) {
 
 // Select and initialize sticky table headers.
 function tableHeaderInitHandler(e) {
-  var $tables = $(e.data.context).find('table.sticky-enabled').once('tableheader');
-  for (var i = 0, il = $tables.length; i < il; i++) {
-    TableHeader.tables.push(new TableHeader($tables[i]));
+  initTables($(e.data.context).find('table.sticky-enabled'));
+}
+
+// Find the closest ancestor of an element that scrolls horizontally.
+function findScrollContainer(element) {
+  for (var parent = element.parentNode; parent && parent !== document.body && parent.nodeType === 1; parent = parent.parentNode) {
+    if (/auto|scroll/.test($(parent).css('overflow-x'))) {
+      return parent;
+    }
   }
+  return null;
 }
 
 // Helper method to loop through tables and execute a method.
@@ -40,7 +58,7 @@ function tableHeaderOnScrollHandler(e) {
 }
 
 function tableHeaderOffsetChangeHandler(e, offsets) {
-  forTables('stickyPosition', offsets.top);
+  forTables('recalculateOffsets', offsets);
 }
 
 // Bind event that need to change all tables.
@@ -64,7 +82,8 @@ $(document).on({
   'columnschange.TableHeader': tableHeaderResizeHandler,
 
   /**
-   * Recalculate TableHeader.topOffset when viewport is resized
+   * Recalculate the position of the sticky headers when the viewport offsets
+   * change, without cloning the headers again.
    */
   'drupalViewportOffsetChange.TableHeader': tableHeaderOffsetChangeHandler
 });
@@ -73,7 +92,10 @@ $(document).on({
  * Constructor for the tableHeader object. Provides sticky table headers.
  *
  * TableHeader will make the current table header stick to the top of the page
- * if the table is very long.
+ * if the table is very long. If the table is wider than a scrolling container,
+ * the sticky header follows the horizontal scroll of the container, and the
+ * number of leading columns set in the data-drupal-sticky-columns attribute
+ * stay visible.
  *
  * @param table
  *   DOM object for the table to add a sticky header to.
@@ -91,6 +113,13 @@ function TableHeader(table) {
   this.$originalTable.addClass('sticky-table');
   this.tableHeight = $table[0].clientHeight;
   this.tableOffset = this.$originalTable.offset();
+  this.scrollContainer = findScrollContainer(table);
+  this.stickyColumns = parseInt($table.attr('data-drupal-sticky-columns'), 10) || 0;
+
+  // Follow the horizontal scroll of the container of the table.
+  if (this.scrollContainer) {
+    $(this.scrollContainer).on('scroll.TableHeader', $.proxy(this, 'onContainerScroll'));
+  }
 
   // React to columns change to avoid making checks in the scroll callback.
   this.$originalTable.on('columnschange', {tableHeader: this}, function (e, display) {
@@ -141,6 +170,21 @@ $.extend(TableHeader.prototype, {
    */
   stickyVisible: false,
 
+  /**
+   * The closest ancestor of the table that scrolls horizontally, if any.
+   */
+  scrollContainer: null,
+
+  /**
+   * Number of leading columns that stay visible when scrolling horizontally.
+   */
+  stickyColumns: 0,
+
+  /**
+   * Cells of the leading columns, in the table and in the sticky header.
+   */
+  $stickyColumnCells: null,
+
   /**
    * Create the duplicate header.
    */
@@ -168,6 +212,7 @@ $.extend(TableHeader.prototype, {
    *
    * @param offsetTop
    * @param offsetLeft
+   *   The horizontal scroll position of the window.
    */
   stickyPosition: function (offsetTop, offsetLeft) {
     var css = {};
@@ -175,11 +220,67 @@ $.extend(TableHeader.prototype, {
       css.top = offsetTop + 'px';
     }
     if (!isNaN(offsetLeft)) {
-      css.left = (this.tableOffset.left - offsetLeft) + 'px';
+      if (this.scrollContainer) {
+        // The table moves with the scroll of its container, and only the part
+        // of the header within the container is shown.
+        var tableLeft = this.$originalTable[0].getBoundingClientRect().left;
+        var visibleLeft = this.scrollContainer.getBoundingClientRect().left + this.scrollContainer.clientLeft - tableLeft;
+        css.left = tableLeft + 'px';
+        css.clip = 'rect(auto, ' + (visibleLeft + this.scrollContainer.clientWidth) + 'px, auto, ' + visibleLeft + 'px)';
+      }
+      else {
+        css.left = (this.tableOffset.left - offsetLeft) + 'px';
+      }
     }
     return this.$stickyTable.css(css);
   },
 
+  /**
+   * Keep the sticky header and the leading columns in sync with the horizontal
+   * scroll of the container of the table.
+   */
+  onContainerScroll: function () {
+    this.stickyPosition(null, scrollValue('scrollLeft'));
+    if (this.$stickyColumnCells) {
+      this.$stickyColumnCells.css('left', this.scrollContainer.scrollLeft + 'px');
+    }
+  },
+
+  /**
+   * Recalculates the position of the sticky header after the viewport offsets
+   * changed.
+   *
+   * @param offsets
+   *   The viewport offsets, as calculated by Drupal.displace().
+   */
+  recalculateOffsets: function (offsets) {
+    this.tableHeight = this.$originalTable[0].clientHeight;
+    this.tableOffset = this.$originalTable.offset();
+    this.stickyPosition(offsets.top, scrollValue('scrollLeft'));
+    this.onScroll();
+  },
+
+  /**
+   * Finds the cells of the leading columns that stay visible.
+   */
+  findStickyColumnCells: function () {
+    var stickyColumns = this.stickyColumns;
+    var cells = [];
+    if (!stickyColumns || !this.scrollContainer) {
+      this.$stickyColumnCells = null;
+      return;
+    }
+    this.$originalTable.find('> thead > tr, > tbody > tr, > tfoot > tr').add(this.$stickyTable.find('> thead > tr')).each(function () {
+      var column = 0;
+      for (var i = 0; i < this.cells.length && column < stickyColumns; i++) {
+        cells.push(this.cells[i]);
+        column += this.cells[i].colSpan || 1;
+      }
+    });
+    this.$stickyColumnCells = $(cells).addClass('sticky-column');
+    this.onContainerScroll();
+  },
+
   /**
    * Returns true if sticky is currently visible.
    */
@@ -245,6 +346,9 @@ $.extend(TableHeader.prototype, {
       }
     }
     this.$stickyTable.css('width', this.$originalTable.outerWidth());
+
+    // Rows may have been added or moved.
+    this.findStickyColumnCells();
   }
 });
 
@@ -1,7 +1,16 @@
-(function ($, Drupal, window) {
+(function ($, Drupal, drupalSettings, window) {
 
 "use strict";
 
+/**
+ * Settings of responsive tables.
+ *
+ * - cardBreakpoint: A media query below which rows are displayed as cards,
+ *   for example 'screen and (max-width: 40em)'. Tables may override it with
+ *   the data-drupal-card-breakpoint attribute; an empty value disables cards.
+ */
+drupalSettings.tableResponsive = $.extend({ cardBreakpoint: '' }, drupalSettings.tableResponsive);
+
 /**
  * Attach the tableResponsive function to Drupal.behaviors.
  */
@@ -25,10 +34,19 @@ Drupal.behaviors.tableResponsive = {
  * hidden columns that exposes the columns. Exposing the columns will likely
  * break layouts, but it provides the user with a means to access data, which
  * is a guiding principle of responsive design.
+ *
+ * Below the card breakpoint, the table is displayed as a list of cards instead,
+ * one for each row, with the header of each column next to its value.
  */
 function TableResponsive (table) {
   this.table = table;
   this.$table = $(table);
+  var breakpoint = this.$table.attr('data-drupal-card-breakpoint');
+  if (typeof breakpoint === 'undefined') {
+    breakpoint = drupalSettings.tableResponsive.cardBreakpoint;
+  }
+  this.cardQuery = breakpoint && window.matchMedia ? window.matchMedia(breakpoint) : null;
+  this.cards = false;
   this.showText = Drupal.t('Show all columns');
   this.hideText = Drupal.t('Hide unimportant columns');
   // Store a reference to the header elements of the table so that the DOM is
@@ -62,6 +80,12 @@ $.extend(TableResponsive, {
  */
 $.extend(TableResponsive.prototype, {
   eventhandlerEvaluateColumnVisibility: function (e) {
+    this.setCards(!!this.cardQuery && this.cardQuery.matches);
+    // Cards show all columns.
+    if (this.cards) {
+      this.$link.hide();
+      return;
+    }
     var pegged = parseInt(this.$link.data('pegged'), 10);
     var hiddenLength = this.$headers.filter('.priority-medium:hidden, .priority-low:hidden').length;
     // If the table has hidden columns, associate an action link with the table
@@ -131,9 +155,57 @@ $.extend(TableResponsive.prototype, {
       // Refresh the toggle link.
       $(window).trigger('resize.tableresponsive');
     }
+  },
+
+  /**
+   * Switches between the table and the card layout.
+   *
+   * @param Boolean cards
+   *   Whether to display the rows as cards.
+   */
+  setCards: function (cards) {
+    if (cards) {
+      // Label the cells each time, rows may have been added since.
+      this.labelCells();
+    }
+    if (cards !== this.cards) {
+      this.cards = cards;
+      this.$table.toggleClass('tableresponsive-cards', cards);
+      this.$table.trigger('tableresponsive:cards', [cards]);
+    }
+  },
+
+  /**
+   * Labels each cell with the text of the header of its column.
+   *
+   * The label is displayed beside the value in the card layout. Cells of
+   * columns without a text header, such as the tableDrag handle and the
+   * tableSelect checkbox, are not labelled.
+   */
+  labelCells: function () {
+    var labels = [];
+    this.$table.find('> thead > tr:last > th').each(function () {
+      var label = $.trim($(this).text());
+      for (var i = 0; i < (this.colSpan || 1); i++) {
+        labels.push(label);
+      }
+    });
+    this.$table.find('> tbody > tr').each(function () {
+      var column = 0;
+      $(this).children('td, th').each(function () {
+        var label = labels[column];
+        if (label) {
+          $(this).attr('data-label', label);
+        }
+        else {
+          $(this).removeAttr('data-label');
+        }
+        column += this.colSpan || 1;
+      });
+    });
   }
 });
 // Make the TableResponsive object available in the Drupal namespace.
 Drupal.TableResponsive = TableResponsive;
 
-})(jQuery, Drupal, window);
+})(jQuery, Drupal, drupalSettings, window);
@@ -2,6 +2,25 @@
 
 "use strict";
 
+/**
+ * Returns the session storage, or null if it is not available.
+ */
+function getStorage() {
+  try {
+    return window.sessionStorage || null;
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the key identifying the row of a checkbox across pages.
+ */
+function getSelectionKey(checkbox) {
+  return $(checkbox).attr('data-drupal-selection-key') || checkbox.name;
+}
+
 Drupal.behaviors.tableSelect = {
   attach: function (context, settings) {
     // Select the inner-most table in case of nested tables.
@@ -18,6 +37,7 @@ Drupal.tableSelect = function () {
   // Keep track of the table, which checkbox is checked and alias the settings.
   var table = this, checkboxes, lastChecked;
   var $table = $(table);
+  var $form = $table.closest('form');
   var strings = { 'selectAll': Drupal.t('Select all rows in this table'), 'selectNone': Drupal.t('Deselect all rows in this table') };
   var updateSelectAll = function (state) {
     // Update table's select-all checkbox (and sticky header's if available).
@@ -27,38 +47,228 @@ Drupal.tableSelect = function () {
     });
   };
 
+  // The selection persists across the pages of the table if the server
+  // provides a selection ID, which it uses to read the submitted selection.
+  var $operations = $form.find('[data-drupal-tableselect-operations]').first();
+  var total = parseInt($table.attr('data-drupal-selection-total') || $operations.attr('data-drupal-selection-total'), 10) || 0;
+  var selectionId = $table.attr('data-drupal-selection-id') || $operations.attr('data-drupal-selection-id');
+  var storageKey = 'Drupal.tableSelect.' + selectionId;
+  var storage = selectionId ? getStorage() : null;
+  var selection = { all: false, items: {}, excluded: {} };
+  if (storage && storage.getItem(storageKey)) {
+    try {
+      selection = $.extend(selection, JSON.parse(storage.getItem(storageKey)));
+    }
+    catch (e) {
+      // Discard a corrupt selection.
+      storage.removeItem(storageKey);
+    }
+  }
+
+  // Show the number of selected items and the operations in a floating bar.
+  var $bar = $(Drupal.theme('tableSelectBulkBar')).insertBefore($table).hide();
+  $bar.find('.tableselect-bulk-bar__operations').append($operations);
+
+  /**
+   * Returns the number of selected items on all pages.
+   */
+  var getCount = function () {
+    var count = 0;
+    var key;
+    if (selection.all) {
+      count = total || checkboxes.length;
+      for (key in selection.excluded) {
+        if (selection.excluded.hasOwnProperty(key)) {
+          count--;
+        }
+      }
+      return Math.max(count, 0);
+    }
+    for (key in selection.items) {
+      if (selection.items.hasOwnProperty(key)) {
+        count++;
+      }
+    }
+    return count;
+  };
+
+  /**
+   * Updates the selection from the checkboxes of this page.
+   */
+  var update = function () {
+    checkboxes.each(function () {
+      var key = getSelectionKey(this);
+      $(this).closest('tr').toggleClass('selected', this.checked);
+      if (this.checked) {
+        selection.items[key] = true;
+        delete selection.excluded[key];
+      }
+      else {
+        delete selection.items[key];
+        if (selection.all) {
+          selection.excluded[key] = true;
+        }
+      }
+    });
+    if (storage) {
+      storage.setItem(storageKey, JSON.stringify(selection));
+    }
+
+    // If all checkboxes are checked, make sure the select-all one is checked too, otherwise keep unchecked.
+    var allChecked = checkboxes.length === checkboxes.filter(':checked').length;
+    updateSelectAll(allChecked);
+
+    var count = getCount();
+    $bar.toggle(count > 0);
+    $bar.find('.tableselect-bulk-bar__count').text(Drupal.formatPlural(count, '1 item selected', '@count items selected'));
+    $bar.find('.tableselect-bulk-bar__select-all')
+      .text(Drupal.t('Select all @total matching items', { '@total': total }))
+      .toggle(allChecked && !selection.all && total > checkboxes.length);
+  };
+
+  /**
+   * Checks or unchecks all checkboxes of this page.
+   */
+  var setAll = function (state) {
+    checkboxes.each(function () {
+      this.checked = state;
+    });
+    update();
+  };
+
+  /**
+   * Checks or unchecks the rows between the last checked checkbox and another.
+   */
+  var selectRange = function (checkbox) {
+    // Also make sure that we are actually checking checkboxes over a range and
+    // that a checkbox has been checked or unchecked before.
+    if (lastChecked && lastChecked !== checkbox) {
+      // We use the checkbox's parent TR to do our range searching.
+      Drupal.tableSelectRange($(checkbox).closest('tr')[0], $(lastChecked).closest('tr')[0], checkbox.checked);
+    }
+  };
+
+  $bar.on('click', '.tableselect-bulk-bar__select-all', function (event) {
+    event.preventDefault();
+    selection = { all: true, items: {}, excluded: {} };
+    setAll(true);
+  });
+  $bar.on('click', '.tableselect-bulk-bar__clear', function (event) {
+    event.preventDefault();
+    selection = { all: false, items: {}, excluded: {} };
+    setAll(false);
+  });
+
   // Find all <th> with class select-all, and insert the check all checkbox.
   $table.find('th.select-all').prepend($('<input type="checkbox" class="form-checkbox" />').attr('title', strings.selectAll)).on('click', function (event) {
     if ($(event.target).is('input[type="checkbox"]')) {
       // Loop through all checkboxes and set their state to the select all checkbox' state.
-      checkboxes.each(function () {
-        this.checked = event.target.checked;
-        // Either add or remove the selected class based on the state of the check all checkbox.
-        $(this).closest('tr').toggleClass('selected', this.checked);
-      });
-      // Update the title and the state of the check all box.
-      updateSelectAll(event.target.checked);
+      // Deselecting all rows also drops a selection of all matching items.
+      if (!event.target.checked && selection.all) {
+        selection = { all: false, items: {}, excluded: {} };
+      }
+      setAll(event.target.checked);
     }
   });
 
-  // For each of the checkboxes within the table that are not disabled.
-  checkboxes = $table.find('td input[type="checkbox"]:enabled').on('click', function (e) {
-    // Either add or remove the selected class based on the state of the check all checkbox.
-    $(this).closest('tr').toggleClass('selected', this.checked);
-
+  var onClick = function (e) {
     // If this is a shift click, we need to highlight everything in the range.
-    // Also make sure that we are actually checking checkboxes over a range and
-    // that a checkbox has been checked or unchecked before.
-    if (e.shiftKey && lastChecked && lastChecked !== e.target) {
-      // We use the checkbox's parent TR to do our range searching.
-      Drupal.tableSelectRange($(e.target).closest('tr')[0], $(lastChecked).closest('tr')[0], e.target.checked);
+    // The change event of the checkbox then updates the selection.
+    if (e.shiftKey) {
+      selectRange(e.target);
     }
 
-    // If all checkboxes are checked, make sure the select-all one is checked too, otherwise keep unchecked.
-    updateSelectAll((checkboxes.length === checkboxes.filter(':checked').length));
-
     // Keep track of the last checked checkbox.
     lastChecked = e.target;
+  };
+
+  var onKeydown = function (e) {
+    var index = checkboxes.index(this);
+    var checkbox;
+    // Shift+Space checks the range from the last checked checkbox, like a
+    // shift click.
+    if (e.shiftKey && e.keyCode === 32) {
+      e.preventDefault();
+      this.checked = !this.checked;
+      selectRange(this);
+      update();
+      lastChecked = this;
+    }
+    // Shift+Up and Shift+Down extend the range to the previous or next row.
+    else if (e.shiftKey && (e.keyCode === 38 || e.keyCode === 40)) {
+      e.preventDefault();
+      index += e.keyCode === 38 ? -1 : 1;
+      checkbox = index >= 0 ? checkboxes.get(index) : null;
+      if (checkbox) {
+        if (!lastChecked) {
+          lastChecked = this;
+        }
+        checkbox.checked = lastChecked.checked;
+        selectRange(checkbox);
+        update();
+        checkbox.focus();
+      }
+    }
+  };
+
+  /**
+   * Makes checkboxes of rows in the table selectable.
+   */
+  var addCheckboxes = function ($checkboxes) {
+    $checkboxes.on('click', onClick)
+      // Clicks and other scripts, such as tabledrag.js, change the checkboxes.
+      .on('change', update)
+      .on('keydown', onKeydown);
+
+    // Restore the selection made on this or other pages.
+    $checkboxes.each(function () {
+      var key = getSelectionKey(this);
+      if (selection.all ? !selection.excluded[key] : selection.items[key]) {
+        this.checked = true;
+      }
+    });
+    checkboxes = checkboxes ? checkboxes.add($checkboxes) : $checkboxes;
+  };
+
+  // For each of the checkboxes within the table that are not disabled.
+  addCheckboxes($table.find('td input[type="checkbox"]:enabled'));
+  update();
+
+  // Rows may be appended to the table later, for example by a pager loading
+  // more items of a view.
+  $table.on('rowsadded', function (event, rows) {
+    addCheckboxes($(rows).find('td input[type="checkbox"]:enabled'));
+    update();
+  });
+
+  // Submit the selection made on other pages along with the form.
+  $form.on('submit', function () {
+    if (!storage) {
+      return;
+    }
+    var name = 'tableselect[' + selectionId + ']';
+    var $inputs = $();
+    var key;
+    $form.find('input[type="hidden"]').filter(function () {
+      return this.name.indexOf(name) === 0;
+    }).remove();
+    if (selection.all) {
+      $inputs = $inputs.add($('<input type="hidden" />').attr({ name: name + '[all]', value: 1 }));
+      for (key in selection.excluded) {
+        if (selection.excluded.hasOwnProperty(key)) {
+          $inputs = $inputs.add($('<input type="hidden" />').attr({ name: name + '[excluded][]', value: key }));
+        }
+      }
+    }
+    else {
+      for (key in selection.items) {
+        if (selection.items.hasOwnProperty(key)) {
+          $inputs = $inputs.add($('<input type="hidden" />').attr({ name: name + '[items][]', value: key }));
+        }
+      }
+    }
+    $form.append($inputs);
+    storage.removeItem(storageKey);
   });
 };
 
@@ -90,4 +300,22 @@ Drupal.tableSelectRange = function (from, to, state) {
   }
 };
 
+/**
+ * Theme function for the bulk action bar of a table with selectable rows.
+ *
+ * The bar shows the number of selected items, links to select all matching
+ * items or clear the selection, and the operations of the form.
+ *
+ * @return
+ *   The HTML for the bar.
+ */
+Drupal.theme.tableSelectBulkBar = function () {
+  return '<div class="tableselect-bulk-bar" role="region" aria-label="' + Drupal.t('Bulk actions') + '">' +
+    '<span class="tableselect-bulk-bar__count" aria-live="polite"></span> ' +
+    '<a href="#" class="tableselect-bulk-bar__select-all"></a> ' +
+    '<a href="#" class="tableselect-bulk-bar__clear">' + Drupal.t('Clear selection') + '</a>' +
+    '<div class="tableselect-bulk-bar__operations"></div>' +
+    '</div>';
+};
+
 })(jQuery, Drupal);
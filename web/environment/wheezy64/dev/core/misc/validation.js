@@ -0,0 +1,345 @@
+/**
+ * @file
+ * Validates form elements in the browser before the form is submitted.
+ *
+ * Rules are read from the data-drupal-validation attribute, which holds a JSON
+ * object of rule names and their arguments, and from the HTML5 required,
+ * pattern, min, max and type="email" attributes:
+ * @code
+ *   <input name="pass2" data-drupal-validation='{"matches": "#edit-pass1"}'>
+ * @endcode
+ * Validation also feeds the 'valid' and 'touched' states, so that elements can
+ * depend on them through #states.
+ */
+
+(function ($, Drupal) {
+
+"use strict";
+
+var elementSelector = '[data-drupal-validation], :input[required], :input[pattern], :input[min], :input[max], input[type="email"]';
+
+/**
+ * Checks whether a value is empty.
+ */
+function isEmpty(value) {
+  return $.isArray(value) ? !value.length : $.trim(value) === '';
+}
+
+/**
+ * Attaches validation to forms with elements that have validation rules.
+ */
+Drupal.behaviors.formValidation = {
+  attach: function (context) {
+    var $elements = $(context).find(elementSelector);
+    $elements.closest('form').once('form-validation', function () {
+      // Replace the validation of the browser.
+      $(this).attr('novalidate', 'novalidate')
+        .on('click.formValidation', ':submit, input[type="image"]', function () {
+          $(this.form).data('formValidationButton', this);
+        })
+        .on('submit.formValidation', function (event) {
+          var button = $(this).data('formValidationButton');
+          if (!Drupal.formValidation.isRequired(button) || Drupal.formValidation.validate(this)) {
+            return;
+          }
+          event.preventDefault();
+          event.stopImmediatePropagation();
+        });
+    });
+    $elements.once('form-validation')
+      // Only show errors once the user has left the element.
+      .on('focusout.formValidation', function () {
+        $(this).data('formValidationTouched', true);
+        Drupal.formValidation.validateElement(this);
+      })
+      .on('input.formValidation change.formValidation', function () {
+        if ($(this).data('formValidationTouched')) {
+          Drupal.formValidation.validateElement(this);
+        }
+      });
+  },
+  detach: function (context, settings, trigger) {
+    if (trigger === 'unload') {
+      $(context).find(elementSelector).removeOnce('form-validation').off('.formValidation');
+    }
+  }
+};
+
+Drupal.formValidation = {
+
+  /**
+   * Checks whether submitting a form with a button requires validation.
+   *
+   * Buttons that only validate part of the form, through
+   * #limit_validation_errors, are marked with the formnovalidate attribute.
+   *
+   * @param button
+   *   (optional) The button the form is submitted with.
+   */
+  isRequired: function (button) {
+    return !$(button).is('[formnovalidate]');
+  },
+
+  /**
+   * Validates all elements of a form and displays their errors.
+   *
+   * @param form
+   *   The form DOM element.
+   *
+   * @return
+   *   true if all elements are valid, false otherwise. The first invalid
+   *   element receives focus.
+   */
+  validate: function (form) {
+    var valid = true;
+    var $invalid = $();
+    var radios = {};
+    // Elements hidden through #states or in collapsed details cannot be
+    // corrected by the user.
+    $(form).find(elementSelector).filter(':enabled:visible').each(function () {
+      // Radio buttons are validated as a group.
+      if ($(this).is(':radio')) {
+        if (radios[this.name]) {
+          return;
+        }
+        radios[this.name] = true;
+      }
+      $(this).data('formValidationTouched', true);
+      if (!Drupal.formValidation.validateElement(this)) {
+        valid = false;
+        $invalid = $invalid.add(this);
+      }
+    });
+    $invalid.first().trigger('focus');
+    if (!valid) {
+      Drupal.announce(Drupal.formatPlural($invalid.length, 'The form contains 1 error.', 'The form contains @count errors.'), 'assertive');
+    }
+    return valid;
+  },
+
+  /**
+   * Validates an element and displays or removes its error.
+   *
+   * @param element
+   *   The form element.
+   *
+   * @return
+   *   true if the element is valid, false otherwise.
+   */
+  validateElement: function (element) {
+    var $element = $(element);
+    var error = Drupal.formValidation.getError(element);
+    var id = ($element.is(':radio') ? element.name : ($element.attr('id') || element.name)) + '--error';
+    $(document.getElementById(id)).remove();
+    if (error) {
+      $element.addClass('error').attr({ 'aria-invalid': 'true', 'aria-describedby': id });
+      var $error = $(Drupal.theme('formValidationError', error)).attr('id', id);
+      if ($element.is(':radio')) {
+        $error.appendTo($element.closest('.form-radios'));
+      }
+      else if ($element.is(':checkbox')) {
+        $error.insertAfter($element.closest('.form-item').children('label').last());
+      }
+      else {
+        $error.insertAfter($element);
+      }
+    }
+    else {
+      $element.removeClass('error').removeAttr('aria-invalid aria-describedby');
+    }
+    $element.trigger('formValidation:validated', [!error]);
+    return !error;
+  },
+
+  /**
+   * Checks an element against its rules without displaying the result.
+   *
+   * @param element
+   *   The form element.
+   *
+   * @return
+   *   The message of the first rule the element fails, or an empty string if
+   *   the element is valid.
+   */
+  getError: function (element) {
+    var $element = $(element);
+    var rules = Drupal.formValidation.getRules(element);
+    var value = Drupal.formValidation.getValue(element);
+    var messages = rules.messages || {};
+    var label = $.trim($element.closest('.form-item').children('label').text().replace(/\*$/, '')) || $element.attr('name');
+    for (var name in rules) {
+      if (rules.hasOwnProperty(name) && name !== 'messages') {
+        var rule = Drupal.formValidation.rules[name];
+        // An empty value is only checked for being required.
+        if (rule && (name === 'required' || !isEmpty(value)) && !rule.validate(value, rules[name], $element)) {
+          return messages[name] ? Drupal.checkPlain(messages[name]) : rule.message(label, rules[name]);
+        }
+      }
+    }
+    return '';
+  },
+
+  /**
+   * Returns the rules of an element.
+   *
+   * @param element
+   *   The form element.
+   *
+   * @return
+   *   An object of rule arguments, keyed by rule name. The optional 'messages'
+   *   key holds custom error messages keyed by rule name.
+   */
+  getRules: function (element) {
+    var $element = $(element);
+    var rules = {};
+    // Dates and times are compared as ISO strings, which sort the same way as
+    // the values they represent.
+    var numeric = !$element.is('input[type="date"], input[type="time"], input[type="datetime"], input[type="datetime-local"], input[type="month"], input[type="week"]');
+    if ($element.is('[required]')) {
+      rules.required = true;
+    }
+    if ($element.is('input[type="email"]')) {
+      rules.email = true;
+    }
+    if ($element.is('[pattern]')) {
+      rules.pattern = $element.attr('pattern');
+    }
+    if ($element.is('[min]')) {
+      rules.min = numeric ? parseFloat($element.attr('min')) : $element.attr('min');
+    }
+    if ($element.is('[max]')) {
+      rules.max = numeric ? parseFloat($element.attr('max')) : $element.attr('max');
+    }
+    return $.extend(rules, JSON.parse($element.attr('data-drupal-validation') || '{}'));
+  },
+
+  /**
+   * Returns the submitted value of an element.
+   *
+   * @param element
+   *   The form element.
+   *
+   * @return
+   *   The value; an array for multiple selects.
+   */
+  getValue: function (element) {
+    var $element = $(element);
+    if ($element.is(':radio')) {
+      return $element.closest('form').find(':radio').filter(function () {
+        return this.name === element.name;
+      }).filter(':checked').val() || '';
+    }
+    if ($element.is(':checkbox')) {
+      return $element.prop('checked') ? $element.val() : '';
+    }
+    return $element.val() || '';
+  },
+
+  /**
+   * Validation rules, keyed by the name used in data-drupal-validation.
+   *
+   * Modules may add rules. Each rule is an object with the following keys:
+   * - validate: A function that receives the value of the element, the argument
+   *   of the rule and the element as a jQuery object, and returns whether the
+   *   value is valid. It is not called for empty values, except for the
+   *   'required' rule.
+   * - message: A function that receives the label of the element and the
+   *   argument of the rule, and returns the translated error message as HTML.
+   */
+  rules: {
+    required: {
+      validate: function (value, required) {
+        return !required || !isEmpty(value);
+      },
+      message: function (label, argument) {
+        return Drupal.t('@label field is required.', { '@label': label });
+      }
+    },
+    pattern: {
+      validate: function (value, pattern) {
+        return new RegExp('^(?:' + pattern + ')$').test(value);
+      },
+      message: function (label, argument) {
+        return Drupal.t('@label does not have the required format.', { '@label': label });
+      }
+    },
+    email: {
+      validate: function (value) {
+        return /^[^\s@]+@[^\s@]+$/.test(value);
+      },
+      message: function (label, argument) {
+        return Drupal.t('@label must be a valid e-mail address.', { '@label': label });
+      }
+    },
+    min: {
+      validate: function (value, min) {
+        return typeof min === 'number' ? parseFloat(value) >= min : value >= min;
+      },
+      message: function (label, argument) {
+        return Drupal.t('@label must be higher than or equal to @min.', { '@label': label, '@min': argument });
+      }
+    },
+    max: {
+      validate: function (value, max) {
+        return typeof max === 'number' ? parseFloat(value) <= max : value <= max;
+      },
+      message: function (label, argument) {
+        return Drupal.t('@label must be lower than or equal to @max.', { '@label': label, '@max': argument });
+      }
+    },
+    minlength: {
+      validate: function (value, length) {
+        return value.length >= length;
+      },
+      message: function (label, argument) {
+        return Drupal.t('@label must be at least @length characters long.', { '@label': label, '@length': argument });
+      }
+    },
+    maxlength: {
+      validate: function (value, length) {
+        return value.length <= length;
+      },
+      message: function (label, argument) {
+        return Drupal.t('@label cannot be longer than @length characters.', { '@label': label, '@length': argument });
+      }
+    },
+    matches: {
+      validate: function (value, selector) {
+        return value === $(selector).val();
+      },
+      message: function (label, argument) {
+        return Drupal.t('@label does not match.', { '@label': label });
+      }
+    }
+  }
+};
+
+// Feed the validation result into #states.
+$.extend(Drupal.states.Trigger.states, {
+  valid: {
+    'keyup change formValidation:validated': function () {
+      return !Drupal.formValidation.getError(this.get(0));
+    }
+  },
+
+  touched: {
+    'focusout': function (e) {
+      return typeof e !== 'undefined' || !!this.data('formValidationTouched');
+    }
+  }
+});
+
+/**
+ * Theme function for the inline error of a form element.
+ *
+ * @param error
+ *   The error message, as HTML.
+ *
+ * @return
+ *   The HTML for the error.
+ */
+Drupal.theme.formValidationError = function (error) {
+  return '<div class="form-validation-error description">' + error + '</div>';
+};
+
+})(jQuery, Drupal);
@@ -130,4 +130,43 @@ public function testBulkForm() {
     $this->assertEqual('Test title', (string) $result[0]);
   }
 
+  /**
+   * Tests applying an action to items selected on other pages.
+   */
+  public function testCrossPageSelection() {
+    $nodes = array();
+    for ($i = 0; $i < 12; $i++) {
+      $nodes[] = $this->drupalCreateNode(array('sticky' => FALSE));
+    }
+    // Unpublished nodes are filtered out of the view.
+    $unpublished = $this->drupalCreateNode(array('sticky' => FALSE, 'status' => NODE_NOT_PUBLISHED));
+
+    // tableselect.js submits the selection made on other pages keyed by the
+    // selection ID of the view, display and field.
+    $name = 'tableselect[test_bulk_form-page_1-action_bulk_form]';
+
+    // Select all matching items except one.
+    $this->drupalGet('test_bulk_form');
+    $extra_post = '&' . $this->serializePostValues(array(
+      $name . '[all]' => 1,
+      $name . '[excluded][0]' => $nodes[0]->id(),
+    ));
+    $this->drupalPostForm(NULL, array('action' => 'node_make_sticky_action'), t('Apply'), array(), array(), NULL, $extra_post);
+    $this->assertFalse(node_load($nodes[0]->id(), TRUE)->isSticky(), 'An excluded node was not changed.');
+    for ($i = 1; $i < 12; $i++) {
+      $this->assertTrue(node_load($nodes[$i]->id(), TRUE)->isSticky(), format_string('Node @nid on any page got marked as sticky.', array('@nid' => $nodes[$i]->id())));
+    }
+    $this->assertFalse(node_load($unpublished->id(), TRUE)->isSticky(), 'A node filtered out of the view was not changed.');
+
+    // Select items, including one the view does not list.
+    $this->drupalGet('test_bulk_form');
+    $extra_post = '&' . $this->serializePostValues(array(
+      $name . '[items][0]' => $nodes[0]->id(),
+      $name . '[items][1]' => $unpublished->id(),
+    ));
+    $this->drupalPostForm(NULL, array('action' => 'node_make_sticky_action'), t('Apply'), array(), array(), NULL, $extra_post);
+    $this->assertTrue(node_load($nodes[0]->id(), TRUE)->isSticky(), 'A selected node got marked as sticky.');
+    $this->assertFalse(node_load($unpublished->id(), TRUE)->isSticky(), 'A selected node filtered out of the view was not changed.');
+  }
+
 }
@@ -219,24 +219,17 @@ Drupal.ckeditor = {
     dialogSettings.dialogClass = classes.join(' ');
     dialogSettings.autoResize = Drupal.checkWidthBreakpoint(600);
 
-    // Add a "Loading…" message, hide it underneath the CKEditor toolbar, create
-    // a Drupal.ajax instance to load the dialog and trigger it.
+    // Add a "Loading…" message, hide it underneath the CKEditor toolbar and
+    // load the dialog.
     var $content = $('<div class="ckeditor-dialog-loading"><span style="top: -40px;" class="ckeditor-dialog-loading-link"><a>' + Drupal.t('Loading...') + '</a></span></div>');
     $content.appendTo($target);
-    new Drupal.ajax('ckeditor-dialog', $content.find('a').get(0), {
+    $content.find('a').on('click', function () { return false; });
+    Drupal.ajax.execute(url, { editor_object: existingValues }, {
+      element: $content.find('a').get(0),
       accepts: 'application/vnd.drupal-modal',
       dialog: dialogSettings,
-      selector: '.ckeditor-dialog-loading-link',
-      url: url,
-      event: 'ckeditor-internal.ckeditor',
-      progress: { 'type': 'throbber' },
-      submit: {
-        editor_object: existingValues
-      }
+      progress: { 'type': 'throbber' }
     });
-    $content.find('a')
-      .on('click', function () { return false; })
-      .trigger('ckeditor-internal.ckeditor');
 
     // After a short delay, show "Loading…" message.
     window.setTimeout(function () {
@@ -303,9 +303,9 @@ Drupal.edit.EntityModel = Backbone.Model.extend({
               // Change the state back to "opened", to allow the user to hit the
               // "Save" button again.
               entityModel.set('state', 'opened', { reason: 'networkerror' });
-              // Show a modal to inform the user of the network error.
+              // Show a message to inform the user of the network error.
               var message = Drupal.t('Your changes to <q>@entity-title</q> could not be saved, either due to a website problem or a network connection problem.<br>Please try again.', { '@entity-title' : entityModel.get('label') });
-              Drupal.edit.util.networkErrorModal(Drupal.t('Sorry!'), message);
+              Drupal.edit.util.networkError(message);
             }
           });
         }
@@ -346,44 +346,35 @@ Drupal.edit.EntityModel = Backbone.Model.extend({
   save: function (options) {
     var entityModel = this;
 
-    // @todo Simplify this once https://drupal.org/node/1533366 lands.
-    // @see https://drupal.org/node/2029999.
-    var id = 'edit-save-entity';
-    // Create a temporary element to be able to use Drupal.ajax.
-    var $el = $('#edit-entity-toolbar').find('.action-save'); // This is the span element inside the button.
-    // Create a Drupal.ajax instance to save the entity.
-    var entitySaverAjax = new Drupal.ajax(id, $el, {
-      url: Drupal.url('edit/entity/' + entityModel.get('entityID')),
-      event: 'edit-save.edit',
-      progress: { type: 'none' },
-      error: function () {
-        $el.off('edit-save.edit');
+    // Save the entity; the response contains the editEntitySaved AJAX command
+    // to which we then react.
+    Drupal.ajax.execute(Drupal.url('edit/entity/' + entityModel.get('entityID')), {}, {
+      // The error() callback informs the user.
+      reportErrors: false,
+      commands: {
+        // Entity saved successfully.
+        editEntitySaved: function (ajax, response, status) {
+          // All fields have been moved from TempStore to permanent storage,
+          // update the "inTempStore" attribute on FieldModels, on the
+          // EntityModel and clear EntityModel's "fieldInTempStore" attribute.
+          entityModel.get('fields').each(function (fieldModel) {
+            fieldModel.set('inTempStore', false);
+          });
+          entityModel.set('inTempStore', false);
+          entityModel.set('fieldsInTempStore', []);
+
+          // Invoke the optional success callback.
+          if (options.success) {
+            options.success.call(entityModel);
+          }
+        }
+      }
+    })
+      .fail(function () {
         // Let the Drupal.edit.EntityModel Backbone model's error() method
         // handle errors.
         options.error.call(entityModel);
-      }
-    });
-    // Entity saved successfully.
-    entitySaverAjax.commands.editEntitySaved = function(ajax, response, status) {
-      // Clean up.
-      $(ajax.element).off('edit-save.edit');
-      // All fields have been moved from TempStore to permanent storage, update
-      // the "inTempStore" attribute on FieldModels, on the EntityModel and
-      // clear EntityModel's "fieldInTempStore" attribute.
-      entityModel.get('fields').each(function (fieldModel) {
-        fieldModel.set('inTempStore', false);
       });
-      entityModel.set('inTempStore', false);
-      entityModel.set('fieldsInTempStore', []);
-
-      // Invoke the optional success callback.
-      if (options.success) {
-        options.success.call(entityModel);
-      }
-    };
-    // Trigger the AJAX request, which will will return the editEntitySaved AJAX
-    // command to which we then react.
-    $el.trigger('edit-save.edit');
   },
 
   /**
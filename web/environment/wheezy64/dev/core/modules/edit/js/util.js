@@ -33,34 +33,13 @@ Drupal.edit.util.buildUrl = function (id, urlFormat) {
 };
 
 /**
- * Shows a network error modal dialog.
+ * Shows a network error message.
  *
- * @param String title
- *   The title to use in the modal dialog.
  * @param String message
- *   The message to use in the modal dialog.
+ *   The message to show.
  */
-Drupal.edit.util.networkErrorModal = function (title, message) {
-  var networkErrorModal = Drupal.dialog('<div>' + message + '</div>', {
-    title: title,
-    dialogClass: 'edit-network-error',
-    buttons: [
-      {
-        text: Drupal.t('OK'),
-        click: function() {
-          networkErrorModal.close();
-        }
-      }
-    ],
-    create: function () {
-      $(this).parent().find('.ui-dialog-titlebar-close').remove();
-    },
-    close: function (event) {
-      // Automatically destroy the DOM element that was used for the dialog.
-      $(event.target).remove();
-    }
-  });
-  networkErrorModal.showModal();
+Drupal.edit.util.networkError = function (message) {
+  Drupal.message.add(message, 'error');
 };
 
 Drupal.edit.util.form = {
@@ -102,10 +81,10 @@ Drupal.edit.util.form = {
       error: function (xhr, url) {
         $el.off('edit-internal.edit');
 
-        // Show a modal to inform the user of the network error.
+        // Show a message to inform the user of the network error.
         var fieldLabel = Drupal.edit.metadata.get(fieldID, 'label');
         var message = Drupal.t('Could not load the form for <q>@field-label</q>, either due to a website problem or a network connection problem.<br>Please try again.', { '@field-label' : fieldLabel });
-        Drupal.edit.util.networkErrorModal(Drupal.t('Sorry!'), message);
+        Drupal.edit.util.networkError(message);
 
         // Change the state back to "candidate", to allow the user to start
         // in-place editing of the field again.
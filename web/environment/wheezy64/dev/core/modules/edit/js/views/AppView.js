@@ -324,10 +324,8 @@ Drupal.edit.AppView = Backbone.View.extend({
    */
   confirmEntityDeactivation: function (entityModel) {
     var that = this;
-    var discardDialog;
 
     function closeDiscardDialog (action) {
-      discardDialog.close(action);
       // The active modal has been removed.
       that.model.set('activeModal', null);
 
@@ -350,39 +348,21 @@ Drupal.edit.AppView = Backbone.View.extend({
 
     // Only instantiate if there isn't a modal instance visible yet.
     if (!this.model.get('activeModal')) {
-      discardDialog = Drupal.dialog('<div>' + Drupal.t('You have unsaved changes') + '</div>', {
+      var discardDialog = Drupal.dialog.confirm(Drupal.t('You have unsaved changes'), {
         title: Drupal.t('Discard changes?'),
         dialogClass: 'edit-discard-modal',
-        resizable: false,
         buttons: [
-          {
-            text: Drupal.t('Save'),
-            click: function() {
-              closeDiscardDialog('save');
-            }
-          },
-          {
-            text: Drupal.t('Discard changes'),
-            click: function() {
-              closeDiscardDialog('discard');
-            }
-          }
+          { text: Drupal.t('Save'), value: 'save' },
+          { text: Drupal.t('Discard changes'), value: 'discard', destructive: true }
         ],
-        // Prevent this modal from being closed without the user making a choice
-        // as per http://stackoverflow.com/a/5438771.
-        closeOnEscape: false,
-        create: function () {
-          $(this).parent().find('.ui-dialog-titlebar-close').remove();
-        },
-        beforeClose: false,
-        close: function (event) {
-          // Automatically destroy the DOM element that was used for the dialog.
-          $(event.target).remove();
-        }
+        defaultValue: 'save',
+        // Prevent this modal from being closed without the user making a
+        // choice.
+        dismissible: false
       });
       this.model.set('activeModal', discardDialog);
 
-      discardDialog.showModal();
+      discardDialog.done(closeDiscardDialog);
     }
   },
 
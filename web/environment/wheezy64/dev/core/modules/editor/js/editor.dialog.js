@@ -14,8 +14,8 @@
  * with dialogs must independently listen for an editor:dialogsave event to save
  * the changes into the contents of their interface.
  */
-Drupal.AjaxCommands.prototype.editorDialogSave = function (ajax, response, status) {
+Drupal.AjaxCommands.register('editorDialogSave', function (ajax, response, status) {
   $(window).trigger('editor:dialogsave', [response.values]);
-};
+}, { values: 'object' });
 
 })(jQuery, Drupal);
@@ -114,45 +114,31 @@ Drupal.behaviors.simpletestTableFilterByText = {
     var $input = $('input.table-filter-text').once('table-filter-text');
     var $table = $($input.attr('data-table'));
     var $rows;
-    var searched = false;
-
-    function filterTestList (e) {
-      var query = $(e.target).val().toLowerCase();
-
-      function showTestRow (index, row) {
-        var $row = $(row);
-        var $sources = $row.find('.table-filter-text-source');
-        var textMatch = $sources.text().toLowerCase().indexOf(query) !== -1;
-        $row.closest('tr').toggle(textMatch);
-      }
-
-      // Filter if the length of the query is at least 3 characters.
-      if (query.length >= 3) {
-        // Indicate that a search has been performed, and hide the "select all"
-        // checkbox.
-        searched = true;
-        $('#simpletest-form-table thead th.select-all input').hide();
-
-        $rows.each(showTestRow);
-      }
-      // Restore to the original state if any searching has occurred.
-      else if (searched) {
-        searched = false;
-        $('#simpletest-form-table thead th.select-all input').show();
-        // Hide all rows and then show groups.
-        $rows.hide();
-        $rows.filter('.simpletest-group').show().each(function () {
-          var id = 'simpletest-test-group-' + $(this).children().first().attr('id');
-          if (drupalSettings.simpleTest[id].imageDirection) {
-            $(this).closest('tbody').children('.' + drupalSettings.simpleTest[id].testClass).show();
-          }
-        });
-      }
-    }
 
     if ($table.length) {
       $rows = $table.find('tbody tr');
-      $input.trigger('focus').on('keyup', Drupal.debounce(filterTestList, 200));
+      // Filter if the length of the query is at least 3 characters.
+      new Drupal.TableFilter($input, $table, {
+        minLength: 3,
+        delay: 200,
+        onFilter: function () {
+          // Hide the "select all" checkbox while searching.
+          $('#simpletest-form-table thead th.select-all input').hide();
+        },
+        // Restore to the original state if any searching has occurred.
+        onReset: function () {
+          $('#simpletest-form-table thead th.select-all input').show();
+          // Hide all rows and then show groups.
+          $rows.hide();
+          $rows.filter('.simpletest-group').show().each(function () {
+            var id = 'simpletest-test-group-' + $(this).children().first().attr('id');
+            if (drupalSettings.simpleTest[id].imageDirection) {
+              $(this).closest('tbody').children('.' + drupalSettings.simpleTest[id].testClass).show();
+            }
+          });
+        }
+      });
+      $input.trigger('focus');
     }
   }
 };
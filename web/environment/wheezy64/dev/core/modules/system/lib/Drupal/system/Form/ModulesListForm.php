@@ -123,7 +123,7 @@ public function buildForm(array $form, array &$form_state) {
         '#theme' => 'system_modules_details',
         '#header' => array(
           array('data' => '<span class="visually-hidden">' . $this->t('Installed') . '</span>', 'class' => array('checkbox')),
-          array('data' => $this->t('Name'), 'class' => array('name')),
+          array('data' => $this->t('Name'), 'class' => array('name'), 'data-sort-type' => 'text'),
           array('data' => $this->t('Description'), 'class' => array('description', RESPONSIVE_PRIORITY_LOW)),
         ),
         '#attributes' => array('class' => array('package-listing')),
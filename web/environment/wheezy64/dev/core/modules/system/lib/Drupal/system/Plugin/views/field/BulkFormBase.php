@@ -121,6 +121,8 @@ public function viewsForm(&$form, &$form_state) {
           '#title' => t('Update this item'),
           '#title_display' => 'invisible',
           '#default_value' => !empty($form_state['values'][$this->options['id']][$row_index]) ? 1 : NULL,
+          // Identify the row across pages, for selections that span pages.
+          '#attributes' => array('data-drupal-selection-key' => $this->getEntity($row)->id()),
         );
       }
 
@@ -135,9 +137,17 @@ public function viewsForm(&$form, &$form_state) {
 
       // Build the bulk operations action widget for the header.
       // Allow themes to apply .container-inline on this separate container.
+      // The container is moved into the bulk action bar of tableselect.js.
       $form['header'][$this->options['id']] = array(
         '#type' => 'container',
+        '#attributes' => array(
+          'data-drupal-tableselect-operations' => '',
+          'data-drupal-selection-id' => $this->getSelectionId(),
+        ),
       );
+      if (isset($this->view->total_rows)) {
+        $form['header'][$this->options['id']]['#attributes']['data-drupal-selection-total'] = $this->view->total_rows;
+      }
       $form['header'][$this->options['id']]['action'] = array(
         '#type' => 'select',
         '#title' => $this->options['action_title'],
@@ -182,6 +192,7 @@ public function viewsFormSubmit(&$form, &$form_state) {
         $entity = $this->getEntity($row);
         $entities[$entity->id()] = $entity;
       }
+      $entities += $this->getSelectedEntities($form_state);
 
       $action = $this->actions[$form_state['values']['action']];
       $action->execute($entities);
@@ -193,6 +204,65 @@ public function viewsFormSubmit(&$form, &$form_state) {
     }
   }
 
+  /**
+   * Returns the ID of the selection made in the table of this form.
+   *
+   * @return string
+   *   The ID, which is unique to the view, display and field.
+   */
+  protected function getSelectionId() {
+    return implode('-', array($this->view->storage->id(), $this->view->current_display, $this->options['id']));
+  }
+
+  /**
+   * Returns the entities selected on other pages of the view.
+   *
+   * tableselect.js submits the selection made on other pages in the
+   * 'tableselect' input, keyed by the ID returned by getSelectionId():
+   * - all: Whether all items matching the view are selected.
+   * - items: The IDs of the selected entities, if not all items are selected.
+   * - excluded: The IDs of the entities deselected after selecting all items.
+   *
+   * Only entities that are part of the result of the view are returned, so
+   * that the selection cannot contain entities the view does not list.
+   *
+   * @param array $form_state
+   *   An associative array containing the current state of the form.
+   *
+   * @return array
+   *   An array of entities, keyed by entity ID.
+   */
+  protected function getSelectedEntities(array $form_state) {
+    $entities = array();
+    $selection_id = $this->getSelectionId();
+    if (empty($form_state['input']['tableselect'][$selection_id]) || !is_array($form_state['input']['tableselect'][$selection_id])) {
+      return $entities;
+    }
+    $selection = $form_state['input']['tableselect'][$selection_id];
+    if (empty($selection['all']) && empty($selection['items'])) {
+      return $entities;
+    }
+
+    // Execute the view again without a pager to get all matching items.
+    $view = views_get_view($this->view->storage->id());
+    $view->setDisplay($this->view->current_display);
+    $view->setArguments($this->view->args);
+    $view->setExposedInput($this->view->getExposedInput());
+    $view->setItemsPerPage(0);
+    $view->execute();
+
+    $excluded = isset($selection['excluded']) ? (array) $selection['excluded'] : array();
+    $items = isset($selection['items']) ? (array) $selection['items'] : array();
+    foreach ($view->result as $row) {
+      $entity = $view->field[$this->options['id']]->getEntity($row);
+      $selected = empty($selection['all']) ? in_array($entity->id(), $items) : !in_array($entity->id(), $excluded);
+      if ($selected) {
+        $entities[$entity->id()] = $entity;
+      }
+    }
+    return $entities;
+  }
+
   /**
    * Overrides \Drupal\views\Plugin\views\Plugin\field\FieldPluginBase::query().
    */
@@ -21,6 +21,13 @@ class ProcessingTest extends WebTestBase {
    */
   public static $modules = array('batch_test');
 
+  /**
+   * Whether to stay on pages that redirect through a meta refresh.
+   *
+   * @var bool
+   */
+  protected $stopAtMetaRefresh = FALSE;
+
   public static function getInfo() {
     return array(
       'name' => 'Batch processing',
@@ -158,6 +165,40 @@ function testBatchLargePercentage() {
     $this->assertText('Redirection successful.', 'Redirection after batch execution is correct.');
   }
 
+  /**
+   * Tests cancelling a batch after some of its operations were processed.
+   */
+  function testBatchCancel() {
+    // Process the batch one pass at a time, like the progress page does.
+    $this->stopAtMetaRefresh = TRUE;
+    $this->drupalPostForm('batch-test', array('batch' => 'batch_2'), 'Submit');
+    parse_str(parse_url($this->getUrl(), PHP_URL_QUERY), $query);
+    $this->assertTrue(!empty($query['id']), 'The batch progress page is displayed.');
+    $this->drupalGet('batch', array('query' => array('id' => $query['id'], 'op' => 'do_nojs')));
+
+    $response = drupal_json_decode($this->drupalPost('batch', 'application/json', array(), array('query' => array('id' => $query['id'], 'op' => 'cancel'))));
+    $this->assertTrue(!empty($response['status']), 'The batch was cancelled.');
+
+    // A cancelled batch is finished without processing further operations.
+    $response = drupal_json_decode($this->drupalPost('batch', 'application/json', array(), array('query' => array('id' => $query['id'], 'op' => 'do'))));
+    $this->assertEqual($response['percentage'], '100', 'The cancelled batch is complete.');
+
+    $this->stopAtMetaRefresh = FALSE;
+    $this->drupalGet('batch', array('query' => array('id' => $query['id'], 'op' => 'finished')));
+    $stack = batch_test_stack();
+    $this->assertTrue($stack && count($stack) < 10, 'Only the operations processed before the cancellation were performed.');
+    $this->assertEqual($stack, array_slice($this->_resultStack('batch_2'), 0, count($stack)), 'Execution order was correct.');
+    $this->assertText('The processing was cancelled after 0 of 1 operations.', 'The summary of the cancelled batch is displayed.');
+    $this->assertText('results for batch 2', 'The finished callback of the batch was called.');
+    $this->assertText('Redirection successful.', 'Redirection after batch execution is correct.');
+  }
+
+  /**
+   * Overrides \Drupal\simpletest\WebTestBase::checkForMetaRefresh().
+   */
+  protected function checkForMetaRefresh() {
+    return $this->stopAtMetaRefresh ? FALSE : parent::checkForMetaRefresh();
+  }
 
   /**
    * Triggers a pass if the texts were found in order in the raw content.
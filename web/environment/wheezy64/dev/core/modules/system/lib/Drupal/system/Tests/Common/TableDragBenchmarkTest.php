@@ -0,0 +1,50 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\system\Tests\Common\TableDragBenchmarkTest.
+ */
+
+namespace Drupal\system\Tests\Common;
+
+use Drupal\simpletest\WebTestBase;
+
+/**
+ * Tests the page benchmarking table drag on large tables.
+ */
+class TableDragBenchmarkTest extends WebTestBase {
+
+  /**
+   * Modules to enable.
+   *
+   * @var array
+   */
+  public static $modules = array('tabledrag_test');
+
+  public static function getInfo() {
+    return array(
+      'name' => 'Table drag benchmark',
+      'description' => 'Tests that the table drag benchmark provides a large draggable table.',
+      'group' => 'Common',
+    );
+  }
+
+  /**
+   * Tests the benchmark page.
+   */
+  public function testBenchmarkPage() {
+    $this->drupalGet('tabledrag-test/benchmark');
+    $this->assertResponse(200);
+
+    $rows = $this->xpath('//table[@id="tabledrag-test-table"]/tbody/tr[contains(@class, "draggable")]');
+    $this->assertEqual(count($rows), 2000, 'The table has 2000 draggable rows.');
+    $weights = $this->xpath('//table[@id="tabledrag-test-table"]//input[contains(@class, "tabledrag-test-weight")]');
+    $this->assertEqual(count($weights), 2000, 'Each row has a weight field.');
+
+    $settings = $this->drupalGetSettings();
+    $this->assertTrue(isset($settings['tableDrag']['tabledrag-test-table']['tabledrag-test-weight']), 'The table is draggable by weight.');
+    $this->assertRaw('tabledrag_test/js/tabledrag-test.js', 'The benchmark script is added.');
+    $this->assertRaw('core/misc/tabledrag.js', 'The table drag script is added.');
+  }
+
+}
@@ -16,7 +16,7 @@ Drupal.behaviors.tableFilterByText = {
   attach: function (context, settings) {
     var $input = $('input.table-filter-text').once('table-filter-text');
     var $table = $($input.attr('data-table'));
-    var $rowsAndDetails, $rows, $details;
+    var $details;
 
     function hidePackageDetails(index, element) {
       var $details = $(element);
@@ -24,35 +24,20 @@ Drupal.behaviors.tableFilterByText = {
       $details.toggle($visibleRows.length > 0);
     }
 
-    function filterModuleList (e) {
-      var query = $(e.target).val().toLowerCase();
-
-      function showModuleRow (index, row) {
-        var $row = $(row);
-        var $sources = $row.find('.table-filter-text-source');
-        var textMatch = $sources.text().toLowerCase().indexOf(query) !== -1;
-        $row.closest('tr').toggle(textMatch);
-      }
-
-      // Filter if the length of the query is at least 2 characters.
-      if (query.length >= 2) {
-        $rows.each(showModuleRow);
-
-        // Hide the package <details> if they don't have any visible rows.
-        // Note that we first show() all <details> to be able to use ':visible'.
-        $details.show().each(hidePackageDetails);
-      }
-      else {
-        $rowsAndDetails.show();
-      }
-    }
-
     if ($table.length) {
-      $rowsAndDetails = $table.find('tr, details');
-      $rows = $table.find('tbody tr');
-      $details = $rowsAndDetails.filter('.package-listing');
+      $details = $table.find('details.package-listing');
 
-      $input.on('keyup', filterModuleList);
+      // Filter if the length of the query is at least 2 characters.
+      new Drupal.TableFilter($input, $table, {
+        onFilter: function () {
+          // Hide the package <details> if they don't have any visible rows.
+          // Note that we first show() all <details> to be able to use ':visible'.
+          $details.show().each(hidePackageDetails);
+        },
+        onReset: function () {
+          $details.show();
+        }
+      });
     }
   }
 };
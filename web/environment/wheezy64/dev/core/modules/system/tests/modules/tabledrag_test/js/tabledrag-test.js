@@ -0,0 +1,128 @@
+/**
+ * @file
+ * Compares dragging rows in a large draggable table with the algorithms
+ * tableDrag used before caching the row geometry.
+ *
+ * The rows are dragged through the same code as pointer drags, so that each
+ * movement moves rows in the DOM and the following search for the drop target
+ * runs on an invalidated layout, as it does in the browser.
+ */
+
+(function ($, Drupal) {
+
+"use strict";
+
+/**
+ * Returns a timestamp in milliseconds, with sub-millisecond precision where
+ * the browser supports it.
+ */
+function now() {
+  return window.performance && window.performance.now ? window.performance.now() : new Date().getTime();
+}
+
+/**
+ * Finds the drop target like tableDrag did before caching the row geometry.
+ *
+ * Every row is measured for every pointer movement, until the row under the
+ * pointer is found.
+ */
+function findDropTargetRowBaseline(x, y) {
+  /*jshint validthis:true */
+  var rows = $(this.table.tBodies[0].rows).not(':hidden');
+  for (var n = 0; n < rows.length; n++) {
+    var row = rows[n];
+    var rowY = $(row).offset().top;
+    var rowHeight = parseInt(row.offsetHeight || row.firstChild.offsetHeight, 10) / 2;
+    if (y > rowY - rowHeight && y < rowY + rowHeight) {
+      if (row === this.rowObject.element || !this.rowObject.isValidSwap(row)) {
+        return null;
+      }
+      return row;
+    }
+  }
+  return null;
+}
+
+/**
+ * Restripes the whole table like tableDrag did after every move.
+ */
+function restripeTableBaseline() {
+  /*jshint validthis:true */
+  this.$table.find('> tbody > tr.draggable:visible, > tr.draggable:visible')
+    .removeClass('odd even')
+    .filter(':odd').addClass('even').end()
+    .filter(':even').addClass('odd');
+}
+
+/**
+ * Drags rows down the table and returns the average time of a movement in ms.
+ *
+ * @param tableDrag
+ *   The Drupal.tableDrag object of the table.
+ * @param starts
+ *   The indexes of the rows to drag.
+ * @param steps
+ *   The number of rows to drag each row down by.
+ */
+function drag(tableDrag, starts, steps) {
+  var rows = tableDrag.table.tBodies[0].rows;
+  var total = 0;
+  for (var i = 0; i < starts.length; i++) {
+    var row = rows[starts[i]];
+    var offset = $(row).offset();
+    var height = row.offsetHeight;
+    var event = { pageX: offset.left + 5, pageY: offset.top + height / 2 };
+    var start = now();
+    tableDrag.dragStart(event, tableDrag, row);
+    for (var step = 1; step <= steps; step++) {
+      tableDrag.currentPointerCoords = { x: event.pageX, y: event.pageY + step * height };
+      tableDrag.moveRow();
+    }
+    tableDrag.dropRow(event, tableDrag);
+    total += now() - start;
+    // Put the row back, so that each algorithm drags the same rows.
+    tableDrag.undo();
+  }
+  return total / (starts.length * steps);
+}
+
+/**
+ * Formats the timings of the previous and the current algorithm.
+ */
+function formatResult(label, before, after) {
+  return Drupal.t('@label: @before ms before, @after ms now (@factor times faster)', {
+    '@label': label,
+    '@before': before.toFixed(3),
+    '@after': after.toFixed(3),
+    '@factor': (before / Math.max(after, 0.001)).toFixed(1)
+  });
+}
+
+Drupal.behaviors.tableDragTestBenchmark = {
+  attach: function (context) {
+    $(context).find('#tabledrag-test-run').once('tabledrag-test', function () {
+      $(this).on('click', function (event) {
+        event.preventDefault();
+        var tableDrag = Drupal.tableDrag['tabledrag-test-table'];
+        var count = tableDrag.table.tBodies[0].rows.length;
+        var steps = 10;
+        var starts = [];
+        for (var i = 0; i < 20; i++) {
+          starts.push(Math.floor(Math.random() * (count - steps - 1)));
+        }
+
+        tableDrag.findDropTargetRow = findDropTargetRowBaseline;
+        tableDrag.restripeTable = restripeTableBaseline;
+        var baseline = drag(tableDrag, starts, steps);
+        delete tableDrag.findDropTargetRow;
+        delete tableDrag.restripeTable;
+        var current = drag(tableDrag, starts, steps);
+
+        $('#tabledrag-test-results').text(Drupal.t('@count rows', { '@count': count }) + '\n' +
+          formatResult(Drupal.t('Drag a row by one row'), baseline, current));
+      });
+    });
+  }
+};
+
+})(jQuery, Drupal);
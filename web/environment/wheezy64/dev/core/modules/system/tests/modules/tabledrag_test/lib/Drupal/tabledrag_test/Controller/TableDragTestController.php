@@ -0,0 +1,57 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\tabledrag_test\Controller\TableDragTestController.
+ */
+
+namespace Drupal\tabledrag_test\Controller;
+
+/**
+ * Provides a page for benchmarking table drag on large tables.
+ */
+class TableDragTestController {
+
+  /**
+   * Returns a draggable table with a large number of rows.
+   *
+   * @param int $count
+   *   (optional) The number of rows. Defaults to 2000.
+   */
+  public function benchmark($count = 2000) {
+    $rows = array();
+    for ($i = 0; $i < $count; $i++) {
+      $rows[] = array(
+        'data' => array(
+          t('Task @number', array('@number' => $i + 1)),
+          '<input type="text" class="tabledrag-test-weight" name="weight[' . $i . ']" value="' . $i . '" size="5" />',
+        ),
+        'class' => array('draggable'),
+      );
+    }
+    drupal_add_tabledrag('tabledrag-test-table', 'order', 'sibling', 'tabledrag-test-weight');
+
+    return array(
+      'run' => array(
+        '#type' => 'button',
+        '#value' => t('Run benchmark'),
+        '#attributes' => array('id' => 'tabledrag-test-run'),
+      ),
+      'results' => array(
+        '#markup' => '<pre id="tabledrag-test-results"></pre>',
+      ),
+      'table' => array(
+        '#theme' => 'table',
+        '#header' => array(t('Task'), t('Weight')),
+        '#rows' => $rows,
+        '#attributes' => array('id' => 'tabledrag-test-table'),
+      ),
+      '#attached' => array(
+        'js' => array(
+          drupal_get_path('module', 'tabledrag_test') . '/js/tabledrag-test.js' => array(),
+        ),
+      ),
+    );
+  }
+
+}
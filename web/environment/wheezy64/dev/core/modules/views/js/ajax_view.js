@@ -24,6 +24,33 @@ Drupal.behaviors.ViewsAjaxView.attach = function() {
 Drupal.views = {};
 Drupal.views.instances = {};
 
+/**
+ * The URL each view's current state corresponds to, keyed by view DOM ID.
+ *
+ * Views are instantiated again whenever behaviors are attached, so this is kept
+ * outside of the instances.
+ */
+var currentUrls = {};
+
+/**
+ * Restores the views on the page when navigating through the browser history.
+ */
+$(window).on('popstate', function (event) {
+  var state = event.originalEvent.state;
+  var instances = Drupal.views.instances;
+  for (var i in instances) {
+    if (instances.hasOwnProperty(i)) {
+      var domId = instances[i].settings.view_dom_id;
+      // Views without an entry in the state are in their initial state, which
+      // the URL of the page corresponds to.
+      var url = (state && state.views && state.views[domId]) || window.location.href;
+      if (url !== (currentUrls[domId] || window.location.href)) {
+        instances[i].restoreState(url);
+      }
+    }
+  }
+});
+
 /**
  * Javascript object for a certain view.
  */
@@ -31,27 +58,8 @@ Drupal.views.ajaxView = function(settings) {
   var selector = '.view-dom-id-' + settings.view_dom_id;
   this.$view = $(selector);
 
-  // Retrieve the path to use for views' ajax.
-  var ajax_path = drupalSettings.views.ajax_path;
-
-  // If there are multiple views this might've ended up showing up multiple times.
-  if (ajax_path.constructor.toString().indexOf("Array") !== -1) {
-    ajax_path = ajax_path[0];
-  }
-
-  // Check if there are any GET parameters to send to views.
-  var queryString = window.location.search || '';
-  if (queryString !== '') {
-    // Remove the question mark and Drupal path component if any.
-    queryString = queryString.slice(1).replace(/q=[^&]+&?|&?render=[^&]+/, '');
-    if (queryString !== '') {
-      // If there is a '?' in ajax_path, clean url are on and & should be used to add parameters.
-      queryString = ((/\?/.test(ajax_path)) ? '&' : '?') + queryString;
-    }
-  }
-
   this.element_settings = {
-    url: ajax_path + queryString,
+    url: this.getAjaxUrl(window.location.search),
     submit: settings,
     setClick: true,
     event: 'click',
@@ -78,16 +86,129 @@ Drupal.views.ajaxView = function(settings) {
   // @code
   // jQuery('.view-name').trigger('RefreshView');
   // @endcode
-  var self_settings = this.element_settings;
-  self_settings.event = 'RefreshView';
-  this.refreshViewAjax = new Drupal.ajax(this.selector, this.$view, self_settings);
+  // Views are instantiated again whenever behaviors are attached, so only bind
+  // the trigger once per view element.
+  var self_settings = $.extend({}, this.element_settings, { event: 'RefreshView' });
+  this.refreshViewAjax = this.$view.data('views-refresh-ajax');
+  if (!this.refreshViewAjax) {
+    this.refreshViewAjax = new Drupal.ajax(selector, this.$view, self_settings);
+    this.$view.data('views-refresh-ajax', this.refreshViewAjax);
+  }
+};
+
+/**
+ * Returns the URL to request the view from.
+ *
+ * @param queryString
+ *   The query string of the page URL the view is requested for, including the
+ *   leading '?'. Its parameters are passed along to Views.
+ */
+Drupal.views.ajaxView.prototype.getAjaxUrl = function (queryString) {
+  // Retrieve the path to use for views' ajax.
+  var ajax_path = drupalSettings.views.ajax_path;
+
+  // If there are multiple views this might've ended up showing up multiple times.
+  if (ajax_path.constructor.toString().indexOf("Array") !== -1) {
+    ajax_path = ajax_path[0];
+  }
+
+  // Check if there are any GET parameters to send to views.
+  queryString = queryString || '';
+  if (queryString !== '') {
+    // Remove the question mark and Drupal path component if any.
+    queryString = queryString.slice(1).replace(/q=[^&]+&?|&?render=[^&]+/, '');
+    if (queryString !== '') {
+      // If there is a '?' in ajax_path, clean url are on and & should be used to add parameters.
+      queryString = ((/\?/.test(ajax_path)) ? '&' : '?') + queryString;
+    }
+  }
+
+  return ajax_path + queryString;
+};
+
+/**
+ * Returns the data to request the view with for a URL.
+ *
+ * @param href
+ *   A URL of the view, e.g. of a pager link. Its query string holds the page,
+ *   the sort and the exposed filter values, its path the view arguments.
+ */
+Drupal.views.ajaxView.prototype.getViewData = function (href) {
+  // Construct an object using the settings defaults and then overriding
+  // with data specific to the link.
+  return $.extend(
+    {},
+    this.settings,
+    Drupal.Views.parseQueryString(href),
+    // Extract argument data from the URL.
+    Drupal.Views.parseViewArgs(href, this.settings.view_base_path)
+  );
+};
+
+/**
+ * Adds an entry for the state of the view to the browser history.
+ *
+ * @param url
+ *   The URL a browser without JavaScript would have navigated to, so that
+ *   reloading or sharing the page shows the view in the same state.
+ */
+Drupal.views.ajaxView.prototype.pushState = function (url) {
+  if (!window.history.pushState) {
+    return;
+  }
+  // Record the state of all views, so that each of them can be restored.
+  var state = { views: {} };
+  var instances = Drupal.views.instances;
+  for (var i in instances) {
+    if (instances.hasOwnProperty(i)) {
+      var domId = instances[i].settings.view_dom_id;
+      state.views[domId] = currentUrls[domId] || window.location.href;
+    }
+  }
+  state.views[this.settings.view_dom_id] = url;
+  currentUrls[this.settings.view_dom_id] = url;
+  // Resubmitting the same state must not add an entry to go back to.
+  if (url === window.location.href || url === window.location.pathname + window.location.search) {
+    window.history.replaceState(state, '', url);
+  }
+  else {
+    window.history.pushState(state, '', url);
+  }
+};
+
+/**
+ * Refreshes the view with the state recorded in the browser history.
+ *
+ * @param url
+ *   The URL of the state to restore.
+ */
+Drupal.views.ajaxView.prototype.restoreState = function (url) {
+  // Resolve the query string of the URL.
+  var link = document.createElement('a');
+  link.href = url;
+
+  currentUrls[this.settings.view_dom_id] = url;
+  this.refreshViewAjax.options.url = this.getAjaxUrl(link.search);
+  this.refreshViewAjax.options.data = this.getViewData(url);
+  this.$view.trigger('RefreshView');
 };
 
 Drupal.views.ajaxView.prototype.attachExposedFormAjax = function() {
   var button = $('input[type=submit], input[type=image]', this.$exposed_form);
   button = button[0];
 
-  this.exposedFormAjax = new Drupal.ajax($(button).attr('id'), button, this.element_settings);
+  var view = this;
+  var element_settings = $.extend({}, this.element_settings, {
+    // Record the filter values in the browser history, the same way a browser
+    // without JavaScript submits the form.
+    success: function (response, status) {
+      var $form = view.$exposed_form;
+      var action = $form.attr('action');
+      view.pushState(action + (action.indexOf('?') === -1 ? '?' : '&') + $form.serialize());
+      return Drupal.ajax.prototype.success.call(this, response, status);
+    }
+  });
+  this.exposedFormAjax = new Drupal.ajax($(button).attr('id'), button, element_settings);
 };
 
 Drupal.views.ajaxView.prototype.filterNestedViews= function() {
@@ -100,36 +221,184 @@ Drupal.views.ajaxView.prototype.filterNestedViews= function() {
  * Attach the ajax behavior to each link.
  */
 Drupal.views.ajaxView.prototype.attachPagerAjax = function() {
-  this.$view.find('ul.pager > li > a, th.views-field a, .attachment .views-summary a')
+  var selector = 'th.views-field a, .attachment .views-summary a';
+  if (this.settings.pager_mode === 'load_more' || this.settings.pager_mode === 'scroll') {
+    this.attachLoadMore();
+  }
+  else {
+    selector = 'ul.pager > li > a, ' + selector;
+  }
+  this.$view.find(selector)
   .each(jQuery.proxy(this.attachPagerLinkAjax, this));
 };
 
+/**
+ * The number of load more buttons attached so far.
+ */
+var loadMoreCount = 0;
+
+/**
+ * Attach a button that appends the next page to the rows of the view.
+ *
+ * In 'scroll' mode the next page is also loaded as soon as the button scrolls
+ * into view.
+ */
+Drupal.views.ajaxView.prototype.attachLoadMore = function() {
+  var view = this;
+  var $pager = this.$view.find('ul.pager').first();
+  var href = $pager.find('li.pager-next > a').attr('href');
+  if (!href) {
+    return;
+  }
+  var $pagerWrapper = $pager.parent('.item-list');
+  if (!$pagerWrapper.length) {
+    $pagerWrapper = $pager;
+  }
+  var $button = $(Drupal.theme('viewsLoadMore')).insertBefore($pagerWrapper);
+  // Each button gets its own namespace, so that a button replaced along with
+  // the view does not unbind the handlers of its successor.
+  var namespace = '.views-load-more-' + (loadMoreCount++);
+  var observer;
+
+  function stopWatching() {
+    if (observer) {
+      observer.disconnect();
+    }
+    $(window).off(namespace);
+  }
+
+  function load() {
+    if ($button.prop('disabled')) {
+      return;
+    }
+    Drupal.ajax.execute(view.element_settings.url, view.getViewData(href), {
+      element: $button.get(0),
+      progress: { type: 'throbber' },
+      commands: {
+        insert: function (ajax, response, status) {
+          if (response.selector === view.element_settings.selector) {
+            stopWatching();
+            view.appendPage(response.data, $pagerWrapper, response.settings || ajax.settings);
+          }
+          else {
+            Drupal.AjaxCommands.prototype.insert.call(this, ajax, response, status);
+          }
+        },
+        // Keep the position in the list.
+        viewsScrollTop: $.noop
+      }
+    });
+  }
+
+  $button.on('click', load);
+
+  if (this.settings.pager_mode === 'scroll') {
+    if (window.IntersectionObserver) {
+      observer = new window.IntersectionObserver(function (entries) {
+        if (entries[0].isIntersecting) {
+          load();
+        }
+      });
+      observer.observe($button.get(0));
+    }
+    else {
+      $(window).on('scroll' + namespace + ' resize' + namespace, Drupal.debounce(function () {
+        // The view may have been refreshed or filtered meanwhile.
+        if (!$.contains(document.documentElement, $button.get(0))) {
+          stopWatching();
+        }
+        else if ($button.offset().top < $(window).scrollTop() + $(window).height()) {
+          load();
+        }
+      }, 100));
+    }
+  }
+};
+
+/**
+ * Append the rows of a page of the view and update the pager in place.
+ *
+ * @param html
+ *   The rendered view, as returned for the next page.
+ * @param $pagerWrapper
+ *   The element holding the current pager.
+ * @param settings
+ *   The settings to attach behaviors to the new rows with.
+ */
+Drupal.views.ajaxView.prototype.appendPage = function(html, $pagerWrapper, settings) {
+  var $page = $('<div></div>').html(html);
+  var $content = this.$view.find('.view-content').first();
+  var $newContent = $page.find('.view-content').first();
+  var $rows;
+
+  // Append table rows and list items to the existing table or list, and
+  // everything else to the content of the view.
+  if ($content.find('table > tbody').length) {
+    $rows = $newContent.find('table > tbody').first().children('tr');
+    $content.find('table > tbody').first().append($rows);
+  }
+  else if ($content.find('.item-list > ul, .item-list > ol').length) {
+    $rows = $newContent.find('.item-list > ul, .item-list > ol').first().children('li');
+    $content.find('.item-list > ul, .item-list > ol').first().append($rows);
+  }
+  else {
+    $rows = $newContent.children();
+    $content.append($rows);
+  }
+  // Only the new rows need behaviors attached. Let scripts that enhance the
+  // table, such as tableselect.js and tabledrag.js, know about them as well.
+  Drupal.attachBehaviors($rows, settings);
+  $rows.first().closest('table').trigger('rowsadded', [$rows]);
+
+  // Remove the button and replace the pager, then attach to the new pager.
+  var $newPager = $page.find('ul.pager').first();
+  var $newPagerWrapper = $newPager.parent('.item-list');
+  if (!$newPagerWrapper.length) {
+    $newPagerWrapper = $newPager;
+  }
+  $pagerWrapper.prev('.views-load-more').remove();
+  Drupal.detachBehaviors($pagerWrapper, settings);
+  $pagerWrapper.replaceWith($newPagerWrapper);
+  if ($newPagerWrapper.length) {
+    Drupal.attachBehaviors($newPagerWrapper.get(0), settings);
+    this.attachLoadMore();
+  }
+
+  Drupal.announce(Drupal.formatPlural($rows.length, 'Loaded 1 more item.', 'Loaded @count more items.'));
+};
+
 /**
  * Attach the ajax behavior to a singe link.
  */
 Drupal.views.ajaxView.prototype.attachPagerLinkAjax = function(id, link) {
   var $link = $(link);
-  var viewData = {};
+  var view = this;
   var href = $link.attr('href');
-  // Construct an object using the settings defaults and then overriding
-  // with data specific to the link.
-  $.extend(
-    viewData,
-    this.settings,
-    Drupal.Views.parseQueryString(href),
-    // Extract argument data from the URL.
-    Drupal.Views.parseViewArgs(href, this.settings.view_base_path)
-  );
 
   // For anchor tags, these will go to the target of the anchor rather
   // than the usual location.
-  $.extend(viewData, Drupal.Views.parseViewArgs(href, this.settings.view_base_path));
+  var element_settings = $.extend({}, this.element_settings, {
+    submit: this.getViewData(href),
+    // Record the link target in the browser history.
+    success: function (response, status) {
+      view.pushState(href);
+      return Drupal.ajax.prototype.success.call(this, response, status);
+    }
+  });
+  this.pagerAjax = new Drupal.ajax(false, $link, element_settings);
+};
 
-  this.element_settings.submit = viewData;
-  this.pagerAjax = new Drupal.ajax(false, $link, this.element_settings);
+/**
+ * Theme function for the button to load the next page of a view.
+ *
+ * @return
+ *   The HTML for the button.
+ */
+Drupal.theme.viewsLoadMore = function () {
+  return '<button type="button" class="views-load-more button">' + Drupal.t('Load more') + '</button>';
 };
 
-Drupal.AjaxCommands.prototype.viewsScrollTop = function (ajax, response) {
+Drupal.AjaxCommands.register('viewsScrollTop', function (ajax, response) {
   // Scroll to the top of the view. This will allow users
   // to browse newly loaded content after e.g. clicking a pager
   // link.
@@ -146,6 +415,6 @@ Drupal.AjaxCommands.prototype.viewsScrollTop = function (ajax, response) {
   if (offset.top - 10 < $(scrollTarget).scrollTop()) {
     $(scrollTarget).animate({scrollTop: (offset.top - 10)}, 500);
   }
-};
+}, { selector: 'string' });
 
 })(jQuery, Drupal, drupalSettings);
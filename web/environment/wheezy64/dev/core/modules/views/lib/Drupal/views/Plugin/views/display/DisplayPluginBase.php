@@ -417,7 +417,8 @@ public function defaultableSections($section = NULL) {
       'cache' => array('cache'),
       'title' => array('title'),
       'css_class' => array('css_class'),
-      'use_ajax' => array('use_ajax'),
+      'use_ajax' => array('use_ajax', 'ajax_pager_mode'),
+      'ajax_pager_mode' => array('use_ajax', 'ajax_pager_mode'),
       'hide_attachment_summary' => array('hide_attachment_summary'),
       'show_admin_links' => array('show_admin_links'),
       'group_by' => array('group_by'),
@@ -481,6 +482,7 @@ protected function defineOptions() {
 
           'display_description' => FALSE,
           'use_ajax' => TRUE,
+          'ajax_pager_mode' => TRUE,
           'hide_attachment_summary' => TRUE,
           'show_admin_links' => TRUE,
           'pager' => TRUE,
@@ -533,6 +535,9 @@ protected function defineOptions() {
         'default' => FALSE,
         'bool' => TRUE,
       ),
+      'ajax_pager_mode' => array(
+        'default' => 'replace',
+      ),
       'hide_attachment_summary' => array(
         'default' => FALSE,
         'bool' => TRUE,
@@ -1440,6 +1445,21 @@ public function buildOptionsForm(&$form, &$form_state) {
           '#title' => t('Use AJAX'),
           '#default_value' => $this->getOption('use_ajax') ? 1 : 0,
         );
+        $form['ajax_pager_mode'] = array(
+          '#type' => 'radios',
+          '#title' => t('Pager'),
+          '#options' => array(
+            'replace' => t('Replace the rows with the selected page'),
+            'load_more' => t('Append the next page with a "Load more" button'),
+            'scroll' => t('Append the next page when scrolling to the end of the rows'),
+          ),
+          '#default_value' => $this->getOption('ajax_pager_mode'),
+          '#states' => array(
+            'visible' => array(
+              ':input[name="use_ajax"]' => array('checked' => TRUE),
+            ),
+          ),
+        );
         break;
       case 'hide_attachment_summary':
         $form['#title'] .= t('Hide attachments when displaying a contextual filter summary');
@@ -2233,6 +2253,9 @@ public function submitOptionsForm(&$form, &$form_state) {
         $this->setOption('field_langcode_add_to_query', $form_state['values']['field_langcode_add_to_query']);
         break;
       case 'use_ajax':
+        $this->setOption($section, (bool) $form_state['values'][$section]);
+        $this->setOption('ajax_pager_mode', $form_state['values']['ajax_pager_mode']);
+        break;
       case 'hide_attachment_summary':
       case 'show_admin_links':
         $this->setOption($section, (bool) $form_state['values'][$section]);
@@ -60,4 +60,38 @@ public function testAjaxView() {
     $this->assertEqual(count($result), 2, 'Ensure that two items are renderd in the HTML.');
   }
 
+  /**
+   * Tests the pager mode of an ajax view.
+   */
+  public function testAjaxPagerMode() {
+    $this->drupalGet('test_ajax_view');
+    $settings = $this->drupalGetSettings();
+    $view_settings = reset($settings['views']['ajaxViews']);
+    $this->assertEqual($view_settings['pager_mode'], 'replace', 'Pages replace the rows by default.');
+
+    $view = views_get_view('test_ajax_view');
+    $display = &$view->storage->getDisplay('default');
+    $display['display_options']['ajax_pager_mode'] = 'load_more';
+    $view->save();
+
+    $this->drupalGet('test_ajax_view');
+    $settings = $this->drupalGetSettings();
+    $view_settings = reset($settings['views']['ajaxViews']);
+    $this->assertEqual($view_settings['pager_mode'], 'load_more', 'The pager mode is passed to the view settings.');
+    // Browsers without JavaScript still page through the view.
+    $this->assertTrue($this->xpath('//ul[contains(@class, "pager")]'), 'The pager is rendered.');
+
+    // The next page of the view is returned for appending it.
+    $post = array(
+      'view_name' => 'test_ajax_view',
+      'view_display_id' => 'page_1',
+      'page' => 1,
+    );
+    $response = $this->drupalPost('views/ajax', 'application/json', $post);
+    $data = Json::decode($response);
+    $this->drupalSetContent($data[1]['data']);
+    $result = $this->xpath('//div[contains(@class, "views-row")]');
+    $this->assertEqual(count($result), 2, 'The rows of the second page are returned.');
+  }
+
 }
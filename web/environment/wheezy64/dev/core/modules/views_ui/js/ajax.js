@@ -6,23 +6,23 @@
 
   "use strict";
 
-  Drupal.AjaxCommands.prototype.viewsHighlight = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('viewsHighlight', function (ajax, response, status) {
     $('.hilited').removeClass('hilited');
     $(response.selector).addClass('hilited');
-  };
+  }, { selector: 'string' });
 
-  Drupal.AjaxCommands.prototype.viewsShowButtons = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('viewsShowButtons', function (ajax, response, status) {
     $('div.views-edit-view div.form-actions').removeClass('js-hide');
     $('div.views-edit-view div.view-changed.messages').removeClass('js-hide');
-  };
+  });
 
-  Drupal.AjaxCommands.prototype.viewsTriggerPreview = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('viewsTriggerPreview', function (ajax, response, status) {
     if ($('input#edit-displays-live-preview').is(':checked')) {
       $('#preview-submit').trigger('click');
     }
-  };
+  });
 
-  Drupal.AjaxCommands.prototype.viewsReplaceTitle = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('viewsReplaceTitle', function (ajax, response, status) {
     var doc = document;
     // For the <title> element, make a best-effort attempt to replace the page
     // title and leave the site name alone. If the theme doesn't use the site
@@ -35,7 +35,7 @@
     doc.title = oldTitle.replace(re, response.title + ' $1 ' + response.siteName);
 
     $('h1.page-title').text(response.title);
-  };
+  }, { title: 'string', siteName: 'string' });
 
   /**
    * Get rid of irritating tabledrag messages
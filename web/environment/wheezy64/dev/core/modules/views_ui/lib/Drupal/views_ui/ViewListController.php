@@ -93,6 +93,7 @@ public function buildRow(EntityInterface $view) {
             '#view' => $view,
             '#displays' => $this->getDisplaysList($view)
           ),
+          'data-sort-value' => $view->label(),
         ),
         'description' => array(
           'data' => array(
@@ -117,6 +118,7 @@ public function buildHeader() {
       'view_name' => array(
         'data' => $this->t('View name'),
         'class' => array('views-ui-name'),
+        'data-sort-type' => 'text',
       ),
       'description' => array(
         'data' => $this->t('Description'),
@@ -125,10 +127,12 @@ public function buildHeader() {
       'tag' => array(
         'data' => $this->t('Tag'),
         'class' => array('views-ui-tag'),
+        'data-sort-type' => 'text',
       ),
       'path' => array(
         'data' => $this->t('Path'),
         'class' => array('views-ui-path'),
+        'data-sort-type' => 'text',
       ),
       'operations' => array(
         'data' => $this->t('Operations'),